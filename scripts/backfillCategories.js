@@ -0,0 +1,70 @@
+// scripts/backfillCategories.js
+// Tags transactions saved before categories existed. Bill payments are matched
+// to their biller by name (from "Bill payment to <name>") and inherit its
+// category; everything else gets the default category for its type.
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+
+// Schemas (copied from server.js, only the fields this script needs)
+const transactionSchema = new mongoose.Schema({
+    type: String,
+    description: String,
+    billerId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    category: { type: String, default: null },
+    categorySource: { type: String, default: null }
+});
+
+const billerSchema = new mongoose.Schema({
+    name: String,
+    category: String
+});
+
+const Transaction = mongoose.model('Transaction', transactionSchema);
+const Biller = mongoose.model('Biller', billerSchema);
+
+const DEFAULT_CATEGORIES = {
+    deposit: 'Income',
+    withdrawal: 'Withdrawals',
+    payment: 'Bill Payments',
+    transfer: 'Transfers'
+};
+
+function titleCase(text) {
+    return text.replace(/\b\w/g, c => c.toUpperCase());
+}
+
+async function backfillCategories() {
+    try {
+        await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/bankapp');
+        console.log('✅ Connected to MongoDB');
+
+        const billers = new Map((await Biller.find()).map(b => [b.name, b]));
+        let fromBiller = 0;
+        let fromType = 0;
+
+        for await (const tx of Transaction.find({ category: null }).cursor()) {
+            const match = tx.type === 'payment' && /^Bill payment to (.+)$/.exec(tx.description || '');
+            const biller = match && billers.get(match[1]);
+
+            if (biller) {
+                tx.billerId = biller._id;
+                tx.category = titleCase(biller.category);
+                tx.categorySource = 'biller';
+                fromBiller++;
+            } else {
+                tx.category = DEFAULT_CATEGORIES[tx.type] || 'Other';
+                tx.categorySource = 'default';
+                fromType++;
+            }
+            await tx.save();
+        }
+
+        console.log(`✅ Backfill complete: ${fromBiller} tagged from billers, ${fromType} by type`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error backfilling categories:', error);
+        process.exit(1);
+    }
+}
+
+backfillCategories();
@@ -0,0 +1,61 @@
+// scripts/backfillLedger.js
+// Posts an opening-balance journal for every user who has a balance but no
+// ledger entries yet, so existing accounts reconcile against the ledger.
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+
+// Schemas (copied from server.js, only the fields this script needs)
+const userSchema = new mongoose.Schema({
+    email: String,
+    accountNumber: String,
+    balance: { type: Number, default: 0 }
+});
+
+const ledgerEntrySchema = new mongoose.Schema({
+    journalId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    account: { type: String, required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    side: { type: String, enum: ['debit', 'credit'], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    description: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const User = mongoose.model('User', userSchema);
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+async function backfillLedger() {
+    try {
+        await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/bankapp');
+        console.log('✅ Connected to MongoDB');
+
+        const users = await User.find({ balance: { $ne: 0 } });
+        let posted = 0;
+
+        for (const user of users) {
+            const hasEntries = await LedgerEntry.exists({ userId: user._id });
+            if (hasEntries) continue;
+
+            const journalId = new mongoose.Types.ObjectId();
+            const amount = Math.abs(user.balance);
+            const userSide = user.balance > 0 ? 'credit' : 'debit';
+            const systemSide = userSide === 'credit' ? 'debit' : 'credit';
+
+            await LedgerEntry.insertMany([
+                { journalId, account: 'system:opening-balances', side: systemSide, amount, description: 'Opening balance' },
+                { journalId, account: `user:${user._id}`, userId: user._id, side: userSide, amount, description: 'Opening balance' }
+            ]);
+            posted++;
+            console.log(`📒 Opening balance of ${user.balance} posted for ${user.accountNumber} (${user.email})`);
+        }
+
+        console.log(`✅ Backfill complete: ${posted} account(s) posted`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error backfilling ledger:', error);
+        process.exit(1);
+    }
+}
+
+backfillLedger();
@@ -0,0 +1,42 @@
+// scripts/backfillTransactionKinds.js
+// Tags conversions, loan disbursements and transfer refunds saved before
+// transactions had a kind. Only the exact descriptions the bank itself wrote
+// are matched, so a customer's own note that happens to start with "Refund for"
+// or "Converted to" is left alone.
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+
+// Schemas (copied from server.js, only the fields this script needs)
+const transactionSchema = new mongoose.Schema({
+    type: String,
+    description: String,
+    kind: { type: String, default: null }
+});
+
+const Transaction = mongoose.model('Transaction', transactionSchema);
+
+const KIND_PATTERNS = [
+    { kind: 'conversion', type: { $in: ['deposit', 'withdrawal'] }, description: /^Converted (to|from) [A-Z]{3}$/ },
+    { kind: 'loan_disbursement', type: 'deposit', description: /^\w+ loan approved - funds disbursed$/ },
+    { kind: 'refund', type: 'deposit', description: /^Refund for rejected transfer$/ }
+];
+
+async function backfillTransactionKinds() {
+    try {
+        await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/bankapp');
+        console.log('✅ Connected to MongoDB');
+
+        for (const { kind, type, description } of KIND_PATTERNS) {
+            const result = await Transaction.updateMany({ kind: null, type, description }, { kind });
+            console.log(`   ${kind}: ${result.modifiedCount} tagged`);
+        }
+
+        console.log('✅ Backfill complete');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error backfilling transaction kinds:', error);
+        process.exit(1);
+    }
+}
+
+backfillTransactionKinds();
@@ -2,6 +2,7 @@
 require('dotenv').config({ path: '../.env' });
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { generateAccountNumber } = require('../utils/accountNumber');
 
 // Define the user schema (copied from your server.js)
 const userSchema = new mongoose.Schema({
@@ -48,7 +49,7 @@ async function createAdmin() {
         const hashedPassword = await bcrypt.hash('admin123', 10);
         
         // Generate a unique account number
-        const accountNumber = 'ADM' + Math.floor(10000000 + Math.random() * 90000000).toString();
+        const accountNumber = await generateAccountNumber(n => User.exists({ accountNumber: n }));
 
         // Create the admin user
         const admin = new User({
@@ -2,6 +2,7 @@
 require('dotenv').config({ path: '../.env' });
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { generateAccountNumber } = require('../utils/accountNumber');
 
 // Define schema (copied from your app)
 const userSchema = new mongoose.Schema({
@@ -46,7 +47,7 @@ async function fixAdmin() {
             email: 'admin@saxonbank.com',
             password: hashedPassword,
             balance: 10000,
-            accountNumber: 'ADM' + Math.floor(10000000 + Math.random() * 90000000),
+            accountNumber: await generateAccountNumber(n => User.exists({ accountNumber: n })),
             dateOfBirth: new Date('1980-01-01'),
             gender: 'male',
             country: 'United States',
@@ -0,0 +1,85 @@
+// scripts/migrateAccountNumbers.js
+// Gives every account whose number predates check digits (random 10-digit or
+// "ADM…" numbers) a new check-digit number. The old number is kept in
+// legacyAccountNumber, saved payees and standing orders are repointed, and the
+// customer is told their new number. Run with --dry-run to list changes only.
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+const { isValidAccountNumber, generateAccountNumber } = require('../utils/accountNumber');
+
+// Schemas (copied from server.js, only the fields this script needs)
+const userSchema = new mongoose.Schema({
+    email: String,
+    accountNumber: String,
+    legacyAccountNumber: { type: String, default: null }
+});
+
+const payeeSchema = new mongoose.Schema({
+    accountNumber: String
+});
+
+const scheduledTransferSchema = new mongoose.Schema({
+    toAccount: String
+});
+
+const notificationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: String,
+    title: String,
+    message: String,
+    read: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const User = mongoose.model('User', userSchema);
+const Payee = mongoose.model('Payee', payeeSchema);
+const ScheduledTransfer = mongoose.model('ScheduledTransfer', scheduledTransferSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateAccountNumbers() {
+    try {
+        await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/bankapp');
+        console.log('✅ Connected to MongoDB');
+
+        let migrated = 0;
+        let skipped = 0;
+
+        for await (const user of User.find().cursor()) {
+            if (user.accountNumber && isValidAccountNumber(user.accountNumber)) {
+                skipped++;
+                continue;
+            }
+
+            const legacy = user.accountNumber || null;
+            const accountNumber = await generateAccountNumber(n => User.exists({ accountNumber: n }));
+            console.log(`🔢 ${legacy || '(none)'} → ${accountNumber} (${user.email})`);
+            migrated++;
+            if (dryRun) continue;
+
+            user.legacyAccountNumber = legacy;
+            user.accountNumber = accountNumber;
+            await user.save();
+
+            if (legacy) {
+                await Payee.updateMany({ accountNumber: legacy }, { accountNumber });
+                await ScheduledTransfer.updateMany({ toAccount: legacy }, { toAccount: accountNumber });
+                await Notification.create({
+                    userId: user._id,
+                    type: 'security',
+                    title: 'Your Account Number Has Changed',
+                    message: `Your account number is now ${accountNumber} (previously ${legacy}). Please share the new number with anyone who pays you.`
+                });
+            }
+        }
+
+        console.log(`✅ Migration ${dryRun ? 'dry run ' : ''}complete: ${migrated} account(s) renumbered, ${skipped} already valid`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error migrating account numbers:', error);
+        process.exit(1);
+    }
+}
+
+migrateAccountNumbers();
@@ -2,15 +2,25 @@ require("dotenv").config();
 const express = require("express");
 const mongoose = require("mongoose");
 const session = require("express-session");
+const MongoStore = require("connect-mongo");
 const bcrypt = require("bcrypt");
 const path = require("path");
 const nodemailer = require("nodemailer");
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const PDFDocument = require("pdfkit");
+const { PassThrough } = require("stream");
+const { once } = require("events");
+const { normalizeAccountNumber, isValidAccountNumber, generateAccountNumber } = require("./utils/accountNumber");
 
 // ===== File upload dependencies =====
 const multer = require('multer');
 const fs = require('fs');
 
 const app = express();
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/bankapp";
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000;
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
 
 // ========== FILE UPLOAD CONFIGURATION ==========
 // Ensure uploads directory exists
@@ -19,30 +29,56 @@ if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Loan documents hold financial details, so they're kept outside public/ and
+// served through an access-checked route instead
+const loanUploadDir = path.join(__dirname, 'uploads/loans');
+if (!fs.existsSync(loanUploadDir)) {
+    fs.mkdirSync(loanUploadDir, { recursive: true });
+}
+
+function uploadFilename(req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+}
+
+const uploadLimits = { fileSize: 5 * 1024 * 1024 };
+
+// The Content-Type we serve is taken from this map, never from what the browser sent
+const UPLOAD_CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.pdf': 'application/pdf'
+};
+
+function uploadFileFilter(req, file, cb) {
+    const extname = Object.hasOwn(UPLOAD_CONTENT_TYPES, path.extname(file.originalname).toLowerCase());
+    const mimetype = /^(image\/(jpeg|jpg|png)|application\/pdf)$/.test(file.mimetype);
+    if (mimetype && extname) {
+        return cb(null, true);
+    } else {
+        cb(new Error('Only images and PDFs are allowed'));
+    }
+}
+
 // Configure multer storage
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
         cb(null, 'public/uploads/kyc/')
     },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
+    filename: uploadFilename
 });
 
 const upload = multer({ 
     storage: storage,
-    limits: { fileSize: 5 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|pdf/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Only images and PDFs are allowed'));
-        }
-    }
+    limits: uploadLimits,
+    fileFilter: uploadFileFilter
+});
+
+const loanUpload = multer({
+    storage: multer.diskStorage({ destination: loanUploadDir, filename: uploadFilename }),
+    limits: uploadLimits,
+    fileFilter: uploadFileFilter
 });
 
 // ========== MIDDLEWARE ==========
@@ -52,18 +88,39 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
+// Sessions live in MongoDB so they can be listed and revoked per user
+const sessionStore = MongoStore.create({
+    mongoUrl: MONGO_URI,
+    collectionName: "sessions",
+    ttl: SESSION_MAX_AGE / 1000
+});
+
 app.use(
     session({
         secret: process.env.SESSION_SECRET || "saxonbank_secret_key",
+        store: sessionStore,
         resave: false,
         saveUninitialized: false,
         cookie: {
             secure: false,
-            maxAge: 24 * 60 * 60 * 1000,
+            maxAge: SESSION_MAX_AGE,
         },
     })
 );
 
+// Record last-seen time for signed-in sessions (at most once a minute)
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+app.use((req, res, next) => {
+    if (req.session.userId && (!req.session.lastSeenAt || Date.now() - req.session.lastSeenAt > SESSION_TOUCH_INTERVAL)) {
+        req.session.lastSeenAt = Date.now();
+        UserSession.updateOne(
+            { sessionId: req.sessionID, revokedAt: null },
+            { lastSeenAt: new Date(), ip: req.ip }
+        ).catch(err => console.error("Session touch error:", err));
+    }
+    next();
+});
+
 // ========== EMAIL TRANSPORTER (Zoho) ==========
 const transporter = nodemailer.createTransport({
     host: process.env.EMAIL_HOST || 'smtp.zoho.com',
@@ -80,20 +137,53 @@ const transporter = nodemailer.createTransport({
 
 // ========== DATABASE ==========
 mongoose
-    .connect(process.env.MONGO_URI || "mongodb://localhost:27017/bankapp")
+    .connect(MONGO_URI)
     .then(() => console.log("✅ MongoDB Connected Successfully"))
     .catch((err) => {
         console.error("❌ MongoDB Connection Error:", err);
         process.exit(1);
     });
 
+// ========== CURRENCIES ==========
+// Currencies accounts and wallets can hold. JPY has no minor unit.
+const CURRENCIES = {
+    USD: { name: 'US Dollar', symbol: '$', flag: '🇺🇸', decimals: 2 },
+    EUR: { name: 'Euro', symbol: '€', flag: '🇪🇺', decimals: 2 },
+    GBP: { name: 'British Pound', symbol: '£', flag: '🇬🇧', decimals: 2 },
+    JPY: { name: 'Japanese Yen', symbol: '¥', flag: '🇯🇵', decimals: 0 },
+    CAD: { name: 'Canadian Dollar', symbol: 'CA$', flag: '🇨🇦', decimals: 2 },
+    AUD: { name: 'Australian Dollar', symbol: 'A$', flag: '🇦🇺', decimals: 2 }
+};
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+// Currencies a new account can be opened in, by country of residence; the first is the default
+const ACCOUNT_CURRENCIES = {
+    'United States': ['USD'],
+    'United Kingdom': ['GBP', 'USD']
+};
+
+// Transaction filter for rows that moved the user's main balance rather than a
+// wallet. Rows saved before currencies existed have no currency and were USD.
+function accountCurrencyFilter(user) {
+    return user.currency === 'USD' ? { currency: { $in: ['USD', null] } } : { currency: user.currency };
+}
+
 // ========== MODELS ==========
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
-    balance: { type: Number, default: 0 },
+    balance: { type: Number, default: 0 },   // in `currency`
+    currency: { type: String, enum: CURRENCY_CODES, default: 'USD' },
+    // Balances held in other currencies, opened by converting into them
+    wallets: [{
+        _id: false,
+        currency: { type: String, enum: CURRENCY_CODES, required: true },
+        balance: { type: Number, default: 0 },
+        openedAt: { type: Date, default: Date.now }
+    }],
     accountNumber: { type: String, unique: true, sparse: true },
+    // Pre-check-digit number, kept by scripts/migrateAccountNumbers.js for support lookups
+    legacyAccountNumber: { type: String, default: null },
 
     // Personal Details
     dateOfBirth: { type: Date, required: true },
@@ -142,9 +232,17 @@ const userSchema = new mongoose.Schema({
     // Security Settings
     twoFactorEnabled: { type: Boolean, default: false },
     twoFactorSecret: { type: String, default: null },
+    twoFactorRecoveryCodes: [{ type: String }], // bcrypt hashes, each usable once
+    twoFactorLastStep: { type: Number, default: null }, // last accepted TOTP time step, blocks code replay
     loginAlerts: { type: Boolean, default: true },
+    knownDevices: [{
+        device: String,
+        ip: String,
+        lastSeenAt: { type: Date, default: Date.now }
+    }],
 
     // Transaction Limits
+    limitTier: { type: String, enum: ['standard', 'verified', 'business'], default: 'standard' },
     dailyLimit: { type: Number, default: 5000 },
     weeklyLimit: { type: Number, default: 25000 },
     monthlyLimit: { type: Number, default: 100000 },
@@ -169,6 +267,7 @@ const transactionSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     type: { type: String, enum: ["deposit", "withdrawal", "transfer", "payment"], required: true },
     amount: { type: Number, required: true },
+    currency: { type: String, enum: CURRENCY_CODES, default: 'USD' },
     description: String,
     toAccount: String,
     toUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -177,8 +276,26 @@ const transactionSchema = new mongoose.Schema({
     status: { type: String, enum: ["pending", "completed", "failed", "rejected"], default: "completed" },
     processedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     processedDate: { type: Date },
+    journalId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    billerId: { type: mongoose.Schema.Types.ObjectId, ref: "Biller", default: null },
+    loanId: { type: mongoose.Schema.Types.ObjectId, ref: "Loan", default: null },
+    category: { type: String, default: null },
+    categorySource: { type: String, enum: ['default', 'biller', 'rule', 'manual'], default: null },
+    // Set on money the bank moves rather than the customer earning or spending it:
+    // both legs of a currency conversion, loan disbursements and transfer refunds
+    kind: { type: String, enum: ['conversion', 'loan_disbursement', 'refund'], default: null },
+    // Outcome of the transfer approval rules, then of any manual review
+    approval: {
+        decision: { type: String, enum: ['auto_approved', 'held', 'approved', 'rejected'], default: undefined },
+        reasons: { type: [String], default: undefined },
+        details: { type: [String], default: undefined },
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: undefined },
+        decidedAt: { type: Date, default: undefined },
+        note: { type: String, default: undefined }
+    },
     date: { type: Date, default: Date.now },
 });
+transactionSchema.index({ userId: 1, date: -1, _id: -1 });
 
 const cardRequestSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -220,23 +337,86 @@ const billPaymentSchema = new mongoose.Schema({
     status: { type: String, enum: ["pending", "completed", "failed"], default: "completed" },
     paymentDate: { type: Date, default: Date.now },
     processedDate: { type: Date },
-    description: String
+    description: String,
+    autopayId: { type: mongoose.Schema.Types.ObjectId, ref: "AutopayMandate", default: null }
 });
 
 // ========== NEW: LOAN MODELS ==========
+// One row of an approved loan's amortisation schedule
+const loanInstalmentSchema = new mongoose.Schema({
+    number: { type: Number, required: true },
+    dueDate: { type: Date, required: true },
+    payment: { type: Number, required: true },
+    principal: { type: Number, required: true },
+    interest: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true },
+    principalPaid: { type: Number, default: 0 },
+    interestPaid: { type: Number, default: 0 },
+    lateFee: { type: Number, default: 0 },
+    lateFeePaid: { type: Number, default: 0 },
+    status: { type: String, enum: ['upcoming', 'due', 'overdue', 'paid'], default: 'upcoming' },
+    paidAt: { type: Date, default: null }
+}, { _id: false });
+
 const loanSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     loanType: { type: String, enum: ['personal', 'car', 'education', 'home', 'business', 'construction'], required: true },
     amount: { type: Number, required: true },
     term: { type: Number, required: true }, // in years
     purpose: String,
-    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    status: { type: String, enum: ['pending', 'info_requested', 'approved', 'rejected'], default: 'pending' },
     interestRate: { type: Number },
     monthlyPayment: { type: Number },
     appliedDate: { type: Date, default: Date.now },
     processedDate: { type: Date },
     processedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-    notes: String
+    notes: String,
+    // What the applicant told us about their finances
+    application: {
+        employmentStatus: { type: String, enum: ['employed', 'self_employed', 'retired', 'student', 'unemployed'] },
+        employer: String,
+        jobTitle: String,
+        yearsEmployed: Number,
+        annualIncome: Number,
+        monthlyDebtPayments: Number,
+        debtDetails: String,
+        collateralDescription: String,
+        collateralValue: Number
+    },
+    documents: [{
+        type: { type: String, enum: ['income', 'collateral', 'business', 'other'] },
+        filename: String,       // stored name under uploads/loans
+        originalName: String,
+        mimetype: String,
+        size: Number,
+        uploadedAt: { type: Date, default: Date.now }
+    }],
+    // Admin questions while the loan is info_requested, and the applicant's answers
+    infoRequests: [{
+        message: String,
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        requestedAt: { type: Date, default: Date.now },
+        response: String,
+        respondedAt: Date
+    }],
+    // Indicative quote shown when the customer applied, and the one the loan was approved on
+    applicationQuote: { type: mongoose.Schema.Types.Mixed, default: null },
+    approvedQuote: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Servicing, set up when the loan is approved
+    schedule: { type: [loanInstalmentSchema], default: undefined },
+    repaymentStatus: { type: String, enum: ['current', 'in_arrears', 'paid_off'], default: null },
+    outstandingPrincipal: { type: Number, default: null },
+    amountDue: { type: Number, default: 0 },   // past its due date and unpaid
+    arrears: { type: Number, default: 0 },     // past the grace period, late fee charged
+    daysPastDue: { type: Number, default: 0 },
+    principalPaid: { type: Number, default: 0 },
+    interestPaid: { type: Number, default: 0 },
+    feesPaid: { type: Number, default: 0 },
+    nextCollectionAt: { type: Date, default: null },
+    lastCollectionAt: { type: Date, default: null },
+    shortfallNoticeFor: { type: Number, default: null },
+    lockedUntil: { type: Date, default: null },
+    paidOffAt: { type: Date, default: null }
 });
 
 // ========== NEW: REFERRAL MODEL ==========
@@ -252,13 +432,246 @@ const referralSchema = new mongoose.Schema({
 // ========== NEW: NOTIFICATION MODEL ==========
 const notificationSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-    type: { type: String, enum: ['deposit', 'transfer', 'payment', 'security', 'card', 'loan', 'referral'], required: true },
+    type: { type: String, enum: ['deposit', 'transfer', 'payment', 'security', 'card', 'loan', 'referral', 'limits', 'budget'], required: true },
     title: String,
     message: String,
     read: { type: Boolean, default: false },
     createdAt: { type: Date, default: Date.now }
 });
 
+// ========== NEW: LIMIT INCREASE REQUEST MODEL ==========
+const limitIncreaseRequestSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    currentDailyLimit: Number,
+    currentWeeklyLimit: Number,
+    currentMonthlyLimit: Number,
+    requestedDailyLimit: { type: Number, required: true },
+    requestedWeeklyLimit: { type: Number, required: true },
+    requestedMonthlyLimit: { type: Number, required: true },
+    justification: { type: String, required: true },
+    status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending" },
+    submittedAt: { type: Date, default: Date.now },
+    processedAt: { type: Date },
+    processedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    notes: String
+});
+
+// ========== NEW: STATEMENT MODEL ==========
+// A closed monthly statement; one per user per month
+const statementSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    month: { type: String, required: true }, // YYYY-MM
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    openingBalance: { type: Number, required: true },
+    closingBalance: { type: Number, required: true },
+    totalIn: { type: Number, default: 0 },
+    totalOut: { type: Number, default: 0 },
+    totalsByType: {
+        deposit: { type: Number, default: 0 },
+        withdrawal: { type: Number, default: 0 },
+        payment: { type: Number, default: 0 },
+        transferIn: { type: Number, default: 0 },
+        transferOut: { type: Number, default: 0 }
+    },
+    transactionCount: { type: Number, default: 0 },
+    emailStatus: { type: String, enum: ['pending', 'sending', 'sent', 'failed', 'skipped'], default: 'pending' },
+    emailedAt: { type: Date, default: null },
+    emailLockedUntil: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+statementSchema.index({ userId: 1, month: 1 }, { unique: true });
+
+// ========== NEW: CATEGORY RULE MODEL ==========
+// "Description contains <match>" → <category>, per user
+const categoryRuleSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    match: { type: String, required: true, trim: true },
+    category: { type: String, required: true, trim: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// ========== NEW: BUDGET MODEL ==========
+// Monthly spending budget for one category. alertMonth/alertLevel record the
+// highest alert already sent so each threshold fires once per month.
+const budgetSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    category: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: 1 },
+    emailAlerts: { type: Boolean, default: true },
+    alertMonth: { type: String, default: null }, // YYYY-MM
+    alertLevel: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now }
+});
+budgetSchema.index({ userId: 1, category: 1 }, { unique: true });
+
+// ========== NEW: SCHEDULED TRANSFER MODEL ==========
+// A standing order: one payment on a date, or weekly/monthly until an end date
+// or a number of payments. Each due occurrence runs through initiateTransfer().
+const scheduledTransferSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    toAccount: { type: String, required: true },
+    recipientName: String,
+    amount: { type: Number, required: true, min: 0.01 },
+    description: String,
+    frequency: { type: String, enum: ['once', 'weekly', 'monthly'], required: true },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, default: null },
+    maxPayments: { type: Number, default: null },
+    occurrences: { type: Number, default: 0 }, // due dates reached, paid or not
+    paymentsMade: { type: Number, default: 0 },
+    nextRunAt: { type: Date, default: null },
+    status: { type: String, enum: ['active', 'paused', 'completed', 'cancelled'], default: 'active' },
+    lastRunAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+scheduledTransferSchema.index({ status: 1, nextRunAt: 1 });
+
+// ========== NEW: AUTOPAY MANDATE MODEL ==========
+// Recurring payment to a biller. "fixed" pays amount every time; "max" pays the
+// latest bill up to amount. Scheduling fields match ScheduledTransfer so the
+// same occurrence helpers work for both.
+const autopayMandateSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    billerId: { type: mongoose.Schema.Types.ObjectId, ref: "Biller", required: true },
+    amountType: { type: String, enum: ['fixed', 'max'], required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    frequency: { type: String, enum: ['weekly', 'monthly'], required: true },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, default: null },
+    maxPayments: { type: Number, default: null },
+    notifyDaysBefore: { type: Number, default: 0, min: 0, max: 14 },
+    reminderSentFor: { type: Date, default: null },
+    occurrences: { type: Number, default: 0 },
+    paymentsMade: { type: Number, default: 0 },
+    nextRunAt: { type: Date, default: null },
+    status: { type: String, enum: ['active', 'paused', 'completed', 'cancelled'], default: 'active' },
+    lastRunAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+autopayMandateSchema.index({ status: 1, nextRunAt: 1 });
+
+// ========== NEW: PAYEE MODEL ==========
+// A saved transfer recipient in a customer's address book
+const payeeSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    payeeUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    accountNumber: { type: String, required: true },
+    nickname: { type: String, required: true, trim: true },
+    maskedName: { type: String, required: true },
+    firstTransferAt: { type: Date, default: null },
+    lastTransferAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+payeeSchema.index({ userId: 1, accountNumber: 1 }, { unique: true });
+
+// ========== NEW: TRANSFER RULES MODEL ==========
+// Single admin-editable document ("default") driving transfer auto-approval
+const transferRuleSetSchema = new mongoose.Schema({
+    key: { type: String, default: 'default', unique: true },
+    autoApproveEnabled: { type: Boolean, default: true },
+    requireKyc: { type: Boolean, default: true },
+    autoApproveMaxAmount: { type: Number, default: 1000, min: 0 },
+    newPayeeMaxAmount: { type: Number, default: 250, min: 0 },
+    velocityWindowHours: { type: Number, default: 24, min: 1 },
+    velocityMaxCount: { type: Number, default: 5, min: 1 },
+    velocityMaxAmount: { type: Number, default: 2500, min: 0 },
+    trustedMinAccountAgeDays: { type: Number, default: 30, min: 0 },
+    trustedMinCompletedTransfers: { type: Number, default: 1, min: 0 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// ========== NEW: IDEMPOTENCY KEY MODEL ==========
+// The first outcome of a money-moving POST, replayed when the same key is sent again
+const idempotencyKeySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    key: { type: String, required: true },
+    route: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+    response: {
+        statusCode: Number,
+        location: String,
+        body: mongoose.Schema.Types.Mixed
+    },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// ========== NEW: FX QUOTE MODEL ==========
+// A conversion rate offered to a customer, honoured until it expires or is used
+const fxQuoteSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    fromCurrency: { type: String, enum: CURRENCY_CODES, required: true },
+    toCurrency: { type: String, enum: CURRENCY_CODES, required: true },
+    amount: { type: Number, required: true },          // debited, in fromCurrency
+    midRate: { type: Number, required: true },
+    spreadPercent: { type: Number, required: true },
+    rate: { type: Number, required: true },            // midRate less the spread
+    convertedAmount: { type: Number, required: true }, // credited, in toCurrency
+    usedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+// ========== NEW: USER SESSION MODEL ==========
+// Metadata for each signed-in browser session; the session data itself is in the "sessions" store
+const userSessionSchema = new mongoose.Schema({
+    sessionId: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    ip: String,
+    userAgent: String,
+    device: String,
+    createdAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    suspicious: { type: Boolean, default: false }, // first sign-in from this device or IP
+    alertToken: { type: String, default: null, index: true }, // "this wasn't me" link in the login alert
+    expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+// ========== NEW: AUTH THROTTLE & AUDIT MODELS ==========
+// Failed-attempt counters for sign-in and password reset, keyed by account or IP
+const authThrottleSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+const auditLogSchema = new mongoose.Schema({
+    action: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    ip: String,
+    details: String,
+    createdAt: { type: Date, default: Date.now }
+});
+
+// ========== NEW: LEDGER MODEL ==========
+// Every money movement is a journal: a set of debit/credit entries that sum to zero.
+// Customer accounts are "user:<id>" (other-currency wallets "user:<id>:<currency>"),
+// the bank's own accounts are "system:<name>". A journal balances in each currency.
+const ledgerEntrySchema = new mongoose.Schema({
+    journalId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    account: { type: String, required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    side: { type: String, enum: ['debit', 'credit'], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, enum: CURRENCY_CODES, default: 'USD' },
+    wallet: { type: String, enum: [...CURRENCY_CODES, null], default: null },  // set on a customer's other-currency wallet lines
+    description: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
 const User = mongoose.model("User", userSchema);
 const Transaction = mongoose.model("Transaction", transactionSchema);
 const CardRequest = mongoose.model("CardRequest", cardRequestSchema);
@@ -268,6 +681,20 @@ const BillPayment = mongoose.model("BillPayment", billPaymentSchema);
 const Loan = mongoose.model("Loan", loanSchema);
 const Referral = mongoose.model("Referral", referralSchema);
 const Notification = mongoose.model("Notification", notificationSchema);
+const LedgerEntry = mongoose.model("LedgerEntry", ledgerEntrySchema);
+const UserSession = mongoose.model("UserSession", userSessionSchema);
+const LimitIncreaseRequest = mongoose.model("LimitIncreaseRequest", limitIncreaseRequestSchema);
+const Statement = mongoose.model("Statement", statementSchema);
+const CategoryRule = mongoose.model("CategoryRule", categoryRuleSchema);
+const Budget = mongoose.model("Budget", budgetSchema);
+const ScheduledTransfer = mongoose.model("ScheduledTransfer", scheduledTransferSchema);
+const AutopayMandate = mongoose.model("AutopayMandate", autopayMandateSchema);
+const Payee = mongoose.model("Payee", payeeSchema);
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+const FxQuote = mongoose.model("FxQuote", fxQuoteSchema);
+const TransferRuleSet = mongoose.model("TransferRuleSet", transferRuleSetSchema);
+const AuthThrottle = mongoose.model("AuthThrottle", authThrottleSchema);
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
 
 // ========== AUTH MIDDLEWARE ==========
 const requireAuth = (req, res, next) => {
@@ -285,13 +712,24 @@ const requireAdmin = (req, res, next) => {
 };
 
 // ========== HELPER FUNCTIONS ==========
-function formatCurrency(amount) {
+function formatCurrency(amount, currency = 'USD') {
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'USD'
+        currency
     }).format(amount);
 }
 
+// formatCurrency defaulting to one account's currency; views get this so every
+// amount shows in the customer's currency unless the template names another
+function currencyFormatter(currency) {
+    return (amount, other = currency) => formatCurrency(amount, other);
+}
+
+// New account number with check digits, retried until it's unused
+function nextAccountNumber() {
+    return generateAccountNumber(accountNumber => User.exists({ accountNumber }));
+}
+
 // Generate unique referral code
 function generateReferralCode(name) {
     const prefix = name.substring(0, 3).toUpperCase();
@@ -299,151 +737,3552 @@ function generateReferralCode(name) {
     return `${prefix}${random}`;
 }
 
-// ========== ROUTES ==========
-// Home page (landing)
-app.get("/", (req, res) => {
-    if (req.session.userId) {
-        return res.redirect("/dashboard");
-    }
-    res.render("index", {
-        title: "Saxon Bank – Modern Banking for Everyone"
-    });
-});
+// Short "Browser on OS" label from a user-agent string
+function describeDevice(userAgent = '') {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /OPR\/|Opera/.test(userAgent) ? 'Opera'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : 'Unknown browser';
+    const os = /Windows/.test(userAgent) ? 'Windows'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Android/.test(userAgent) ? 'Android'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : 'Unknown OS';
+    return `${browser} on ${os}`;
+}
 
-// Login Page
-app.get("/login", (req, res) => {
-    if (req.session.userId) return res.redirect("/dashboard");
-    res.render("login", {
-        title: "Login | Saxon Bank",
-        error: req.query.error || null,
-        success: req.query.success || null,
+// ========== BRUTE-FORCE PROTECTION ==========
+const LOGIN_THROTTLE = {
+    maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    windowMs: (Number(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000,
+    lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+    progressive: true
+};
+const LOGIN_IP_THROTTLE = {
+    ...LOGIN_THROTTLE,
+    maxAttempts: Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20
+};
+const RESET_THROTTLE = {
+    maxAttempts: Number(process.env.RESET_MAX_REQUESTS) || 3,
+    windowMs: 60 * 60 * 1000,
+    lockoutMs: 60 * 60 * 1000,
+    progressive: false
+};
+const RESET_IP_THROTTLE = {
+    ...RESET_THROTTLE,
+    maxAttempts: Number(process.env.RESET_IP_MAX_REQUESTS) || 10
+};
+const MAX_PROGRESSIVE_DELAY_SECONDS = 30;
+
+// Is any of these keys locked out or still inside its progressive delay?
+async function checkThrottle(keys) {
+    const now = new Date();
+    const records = await AuthThrottle.find({ key: { $in: keys }, expiresAt: { $gt: now } });
+    let blockedUntil = null;
+    let locked = false;
+    records.forEach(record => {
+        let until = null;
+        if (record.lockedUntil && record.lockedUntil > now) {
+            until = record.lockedUntil;
+            locked = true;
+        } else if (record.nextAttemptAt && record.nextAttemptAt > now) {
+            until = record.nextAttemptAt;
+        }
+        if (until && (!blockedUntil || until > blockedUntil)) blockedUntil = until;
     });
-});
+    if (!blockedUntil) return { allowed: true };
+    return { allowed: false, locked, retryAfter: Math.ceil((blockedUntil - now) / 1000) };
+}
 
-// Login POST
-app.post("/login", async (req, res) => {
-    try {
-        const { email, password } = req.body;
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.render("login", {
-                title: "Login | Saxon Bank",
-                error: "Invalid email or password",
-            });
-        }
-        const validPassword = await bcrypt.compare(password, user.password);
-        if (!validPassword) {
-            return res.render("login", {
-                title: "Login | Saxon Bank",
-                error: "Invalid email or password",
+// Count one attempt against a key. Returns true when this attempt triggers a lockout.
+async function recordThrottleFailure(key, { maxAttempts, windowMs, lockoutMs, progressive }) {
+    const now = Date.now();
+    await AuthThrottle.deleteOne({ key, expiresAt: { $lte: new Date(now) } });
+    const record = await AuthThrottle.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $setOnInsert: { expiresAt: new Date(now + windowMs) } },
+        { upsert: true, new: true }
+    );
+
+    if (record.failures >= maxAttempts) {
+        record.failures = 0;
+        record.nextAttemptAt = null;
+        record.lockedUntil = new Date(now + lockoutMs);
+        record.expiresAt = new Date(Math.max(record.expiresAt.getTime(), now + lockoutMs));
+        await record.save();
+        return true;
+    }
+
+    if (progressive && record.failures >= 2) {
+        const delaySeconds = Math.min(Math.pow(2, record.failures - 2), MAX_PROGRESSIVE_DELAY_SECONDS);
+        record.nextAttemptAt = new Date(now + delaySeconds * 1000);
+        await record.save();
+    }
+    return false;
+}
+
+async function clearThrottle(keys) {
+    await AuthThrottle.deleteMany({ key: { $in: keys } });
+}
+
+async function recordAudit(action, { userId = null, actorId = null, ip = null, details = '' } = {}) {
+    await AuditLog.create({ action, userId, actorId, ip, details });
+}
+
+function throttleMessage(throttle) {
+    if (throttle.locked) {
+        return `Too many failed attempts. Please try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`;
+    }
+    return `Please wait ${throttle.retryAfter} second(s) before trying again.`;
+}
+
+function loginThrottleKeys(req, email) {
+    return [`login:account:${String(email || '').trim().toLowerCase()}`, `login:ip:${req.ip}`];
+}
+
+// Record a failed password or 2FA code; locks the account/IP and audits it at the threshold
+async function registerLoginFailure(req, email, user) {
+    const [accountKey, ipKey] = loginThrottleKeys(req, email);
+    const accountLocked = await recordThrottleFailure(accountKey, LOGIN_THROTTLE);
+    const ipLocked = await recordThrottleFailure(ipKey, LOGIN_IP_THROTTLE);
+
+    if (accountLocked) {
+        await recordAudit('account_locked', {
+            userId: user ? user._id : null,
+            ip: req.ip,
+            details: `Sign-in locked for ${email} after ${LOGIN_THROTTLE.maxAttempts} failed attempts`
+        });
+        if (user) {
+            const notification = new Notification({
+                userId: user._id,
+                type: 'security',
+                title: 'Account Temporarily Locked',
+                message: `Your account was locked for ${LOGIN_THROTTLE.lockoutMs / 60000} minutes after several failed sign-in attempts. If this wasn't you, reset your password.`
             });
+            await notification.save();
         }
+        console.warn(`🔒 Sign-in locked for ${email} (IP ${req.ip})`);
+    }
+    if (ipLocked) {
+        await recordAudit('ip_locked', {
+            ip: req.ip,
+            details: `Sign-in locked for IP ${req.ip} after ${LOGIN_IP_THROTTLE.maxAttempts} failed attempts`
+        });
+        console.warn(`🔒 Sign-in locked for IP ${req.ip}`);
+    }
+}
 
-        user.lastLogin = new Date();
-        await user.save();
+const MAX_KNOWN_DEVICES = 20;
 
-        req.session.userId = user._id;
-        req.session.isAdmin = user.isAdmin || false;
-        res.redirect("/dashboard");
-    } catch (error) {
-        console.error(error);
-        res.render("login", {
-            title: "Login | Saxon Bank",
-            error: "Something went wrong. Please try again.",
-        });
+// Finish signing a user in once every login factor has been checked
+async function completeLogin(req, user) {
+    const userAgent = req.get('User-Agent') || '';
+    const device = describeDevice(userAgent);
+    const ip = req.ip;
+
+    // Flag the sign-in if this device or IP hasn't been seen before (first login excepted)
+    const knownDevice = user.knownDevices.some(d => d.device === device);
+    const knownIp = user.knownDevices.some(d => d.ip === ip);
+    const suspicious = Boolean(user.lastLogin) && (!knownDevice || !knownIp);
+
+    const known = user.knownDevices.find(d => d.device === device && d.ip === ip);
+    if (known) {
+        known.lastSeenAt = new Date();
+    } else {
+        user.knownDevices.push({ device, ip, lastSeenAt: new Date() });
     }
-});
+    user.knownDevices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    user.knownDevices = user.knownDevices.slice(0, MAX_KNOWN_DEVICES);
 
-// Register Page
-app.get("/register", (req, res) => {
-    res.render("register", {
-        title: "Register | Saxon Bank",
-        error: req.query.error || null,
-        success: req.query.success || null,
+    user.lastLogin = new Date();
+    await user.save();
+    await clearThrottle([loginThrottleKeys(req, user.email)[0]]);
+
+    // New session id on sign-in, so a pre-login cookie can't be reused
+    await new Promise((resolve, reject) => {
+        req.session.regenerate(err => (err ? reject(err) : resolve()));
+    });
+    req.session.userId = user._id;
+    req.session.isAdmin = user.isAdmin || false;
+    req.session.lastSeenAt = Date.now();
+
+    const userSession = await UserSession.create({
+        sessionId: req.sessionID,
+        userId: user._id,
+        ip,
+        userAgent,
+        device,
+        suspicious,
+        alertToken: user.loginAlerts ? crypto.randomBytes(24).toString('hex') : null,
+        expiresAt: new Date(Date.now() + SESSION_MAX_AGE)
     });
-});
 
-// Register POST (updated with referral code)
-app.post("/register", async (req, res) => {
-    try {
-        const {
-            email, password, confirmPassword,
-            name, dateOfBirth, gender, country,
-            usStreet, usApt, usCity, usState, usZip,
-            ukStreet, ukApt, ukCity, ukCounty, ukPostcode,
-            ssn, referralCode
-        } = req.body;
+    if (user.loginAlerts) {
+        await sendLoginAlert(user, userSession);
+    }
+}
 
-        if (password !== confirmPassword) {
-            return res.render("register", {
-                title: "Register | Saxon Bank",
-                error: "Passwords do not match",
-                success: null
-            });
-        }
+// Security notification + email for a successful sign-in
+async function sendLoginAlert(user, userSession) {
+    const when = userSession.createdAt.toLocaleString('en-US');
+    const notMeLink = `${APP_URL}/security/not-me?token=${userSession.alertToken}`;
+
+    const notification = new Notification({
+        userId: user._id,
+        type: 'security',
+        title: userSession.suspicious ? 'Sign-in From a New Device' : 'New Sign-in',
+        message: userSession.suspicious
+            ? `We noticed a sign-in from a new device or location: ${userSession.device} (${userSession.ip}) on ${when}. If this wasn't you, secure your account now.`
+            : `You signed in from ${userSession.device} (${userSession.ip}) on ${when}.`
+    });
+    await notification.save();
+
+    // Email failures must never block the sign-in itself
+    transporter.sendMail({
+        from: `"Saxon Bank" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+        to: user.email,
+        subject: userSession.suspicious ? 'Security alert: sign-in from a new device' : 'New sign-in to your account',
+        html: `
+            <h2>${userSession.suspicious ? 'New Device Sign-in' : 'New Sign-in'}</h2>
+            <p>Hi ${user.name},</p>
+            <p>Your Saxon Bank account was just accessed${userSession.suspicious ? ' from a device or location we haven\'t seen before' : ''}.</p>
+            <ul>
+                <li><strong>Device:</strong> ${userSession.device}</li>
+                <li><strong>IP address:</strong> ${userSession.ip}</li>
+                <li><strong>Time:</strong> ${when}</li>
+            </ul>
+            <p>If this was you, no action is needed.</p>
+            <p><strong>Wasn't you?</strong> <a href="${notMeLink}">Sign out this device and reset your password</a>.</p>
+            <br>
+            <p>– Saxon Bank Team</p>
+        `
+    }).catch(err => console.error("Login alert email error:", err));
+}
 
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.render("register", {
-                title: "Register | Saxon Bank",
-                error: "Email already registered",
-                success: null
-            });
-        }
+// Sign out sessions remotely: remove them from the store and mark them revoked
+async function revokeUserSessions(filter) {
+    const sessions = await UserSession.find({ ...filter, revokedAt: null });
+    for (const userSession of sessions) {
+        await new Promise((resolve, reject) => {
+            sessionStore.destroy(userSession.sessionId, err => (err ? reject(err) : resolve()));
+        });
+    }
+    await UserSession.updateMany(
+        { _id: { $in: sessions.map(s => s._id) } },
+        { revokedAt: new Date() }
+    );
+    return sessions.length;
+}
 
-        const birthDate = new Date(dateOfBirth);
-        const today = new Date();
-        let age = today.getFullYear() - birthDate.getFullYear();
-        const m = today.getMonth() - birthDate.getMonth();
-        if (m < 0 || (m === 0 && today.getDate() < birthDate.getDate())) age--;
-        if (age < 18) {
-            return res.render("register", {
-                title: "Register | Saxon Bank",
-                error: "You must be at least 18 years old",
-                success: null
-            });
+// ========== TWO-FACTOR AUTHENTICATION (RFC 6238 TOTP) ==========
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_LOGIN_WINDOW = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
         }
+        value &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
 
-        if (!['United States', 'United Kingdom'].includes(country)) {
-            return res.render("register", {
-                title: "Register | Saxon Bank",
-                error: "Registration is only available to residents of the United States or United Kingdom",
-                success: null
-            });
+function base32Decode(input) {
+    const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
         }
+        value &= (1 << bits) - 1;
+    }
+    return Buffer.from(bytes);
+}
 
-        let addressLine1, addressLine2, city, state, zipCode;
-        if (country === 'United States') {
-            addressLine1 = usStreet;
-            addressLine2 = usApt || '';
-            city = usCity;
-            state = usState;
-            zipCode = usZip;
-        } else {
-            addressLine1 = ukStreet;
-            addressLine2 = ukApt || '';
-            city = ukCity;
-            state = ukCounty || '';
-            zipCode = ukPostcode;
-        }
+function generateTwoFactorSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
 
-        if (!addressLine1 || !city || !zipCode) {
-            return res.render("register", {
-                title: "Register | Saxon Bank",
-                error: "Please fill in all required address fields",
-                success: null
-            });
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+// Returns the matching time step, or null. Steps at or before `lastStep` are
+// rejected so a code can only be used once.
+function verifyTotp(secret, code, lastStep = null) {
+    const token = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(token)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+        const step = currentStep + drift;
+        if (lastStep !== null && step <= lastStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+            return step;
         }
+    }
+    return null;
+}
 
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const accountNumber = Math.floor(1000000000 + Math.random() * 9000000000).toString();
-        const userReferralCode = generateReferralCode(name);
+function buildOtpauthUri(secret, email) {
+    const issuer = 'Saxon Bank';
+    const label = encodeURIComponent(`${issuer}:${email}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
 
-        const userData = {
-            name,
-            email,
+// Generate fresh recovery codes; returns the plain codes (shown once) and their hashes
+async function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+    return { codes, hashes };
+}
+
+// Check a recovery code and remove it from the user's list if it matches
+async function consumeRecoveryCode(user, code) {
+    const candidate = String(code || '').trim().toLowerCase();
+    if (!candidate) return false;
+    for (let i = 0; i < user.twoFactorRecoveryCodes.length; i++) {
+        if (await bcrypt.compare(candidate, user.twoFactorRecoveryCodes[i])) {
+            user.twoFactorRecoveryCodes.splice(i, 1);
+            return true;
+        }
+    }
+    return false;
+}
+
+// ========== TRANSACTION LIMITS ==========
+const LIMIT_TIERS = {
+    standard: { name: 'Standard Account', dailyLimit: 5000, weeklyLimit: 25000, monthlyLimit: 100000, perTransaction: 2500 },
+    verified: { name: 'Verified Account', dailyLimit: 25000, weeklyLimit: 100000, monthlyLimit: 500000, perTransaction: 10000 },
+    business: { name: 'Business Account', dailyLimit: 100000, weeklyLimit: 500000, monthlyLimit: 2000000, perTransaction: 50000 }
+};
+
+// Rolling windows, newest first
+const LIMIT_WINDOWS = [
+    { key: 'daily', label: 'Daily', field: 'dailyLimit', ms: 24 * 60 * 60 * 1000 },
+    { key: 'weekly', label: 'Weekly', field: 'weeklyLimit', ms: 7 * 24 * 60 * 60 * 1000 },
+    { key: 'monthly', label: 'Monthly', field: 'monthlyLimit', ms: 30 * 24 * 60 * 60 * 1000 }
+];
+
+class LimitRequestError extends Error {}
+
+// Sum the user's outgoing transfers and payments over each rolling window
+async function getLimitUsage(user) {
+    const now = Date.now();
+    const starts = LIMIT_WINDOWS.map(w => new Date(now - w.ms));
+    const group = { _id: null };
+    LIMIT_WINDOWS.forEach((w, i) => {
+        group[w.key] = { $sum: { $cond: [{ $gte: ["$date", starts[i]] }, "$amount", 0] } };
+    });
+
+    const [totals] = await Transaction.aggregate([
+        {
+            $match: {
+                userId: user._id,
+                date: { $gte: starts[starts.length - 1] },
+                status: { $nin: ["failed", "rejected"] },
+                ...accountCurrencyFilter(user),
+                $or: [{ type: "payment" }, { type: "transfer", fromUserId: user._id }]
+            }
+        },
+        { $group: group }
+    ]);
+
+    return LIMIT_WINDOWS.map(w => {
+        const limit = user[w.field];
+        const used = totals ? totals[w.key] : 0;
+        return {
+            key: w.key,
+            label: w.label,
+            limit,
+            used,
+            remaining: Math.max(limit - used, 0),
+            percent: limit > 0 ? Math.min(Math.round((used / limit) * 100), 100) : 100
+        };
+    });
+}
+
+// The per-transaction cap keeps the tier's ratio to the daily limit, so an
+// approved daily increase raises it too; it never drops below the tier's own cap
+function perTransactionLimit(user) {
+    const tier = LIMIT_TIERS[user.limitTier] || LIMIT_TIERS.standard;
+    const scaled = Math.floor(user.dailyLimit * tier.perTransaction / tier.dailyLimit);
+    return Math.max(tier.perTransaction, scaled || 0);
+}
+
+// Returns an error message if `amount` would break a limit, otherwise null
+async function checkTransactionLimits(user, amount) {
+    const cap = perTransactionLimit(user);
+    if (amount > cap) {
+        return `Amount exceeds your per-transaction limit of ${formatCurrency(cap, user.currency)}.`;
+    }
+
+    const usage = await getLimitUsage(user);
+    const exceeded = usage.find(w => w.used + amount > w.limit);
+    if (exceeded) {
+        return `This would exceed your ${exceeded.label.toLowerCase()} limit of ${formatCurrency(exceeded.limit, user.currency)}. ` +
+            `You have ${formatCurrency(exceeded.remaining, user.currency)} remaining.`;
+    }
+    return null;
+}
+
+// Move the user onto a tier's limits, never lowering limits they already have
+function applyLimitTier(user, tierKey) {
+    const tier = LIMIT_TIERS[tierKey];
+    user.limitTier = tierKey;
+    LIMIT_WINDOWS.forEach(w => {
+        user[w.field] = Math.max(user[w.field] || 0, tier[w.field]);
+    });
+}
+
+// ========== TRANSACTION CATEGORIES ==========
+const TRANSACTION_CATEGORIES = [
+    'Income', 'Transfers', 'Withdrawals', 'Bill Payments', 'Utility', 'Credit Card', 'Loan',
+    'Internet', 'Phone', 'Groceries', 'Dining', 'Shopping', 'Transport', 'Housing', 'Health',
+    'Entertainment', 'Travel', 'Education', 'Savings', 'Other'
+];
+const MAX_CATEGORY_LENGTH = 40;
+
+function titleCase(text) {
+    return text.replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// Trim user input to a usable category name, or null if it isn't one
+function normalizeCategory(value) {
+    const category = String(value || '').trim().replace(/\s+/g, ' ');
+    if (!category || category.length > MAX_CATEGORY_LENGTH) return null;
+    return category;
+}
+
+function defaultCategory(tx) {
+    if (tx.type === 'deposit') return 'Income';
+    if (tx.type === 'withdrawal') return 'Withdrawals';
+    if (tx.type === 'payment') return 'Bill Payments';
+    return 'Transfers';
+}
+
+// Category to show for a transaction, including ones saved before categories existed
+function transactionCategory(tx) {
+    return tx.category || defaultCategory(tx);
+}
+
+function findCategoryRule(tx, rules) {
+    const haystack = [tx.description, tx.toAccount, tx.fromAccount].filter(Boolean).join(' ').toLowerCase();
+    return rules.find(rule => haystack.includes(rule.match.toLowerCase())) || null;
+}
+
+// Fill in category/categorySource on new transaction data before it is saved.
+// Precedence: the user's own rules, then the biller's category, then the type default.
+async function categorizeTransactions(transactions) {
+    const rulesByUser = new Map();
+    const billers = new Map();
+
+    for (const tx of transactions) {
+        if (tx.category) {
+            tx.categorySource = tx.categorySource || 'manual';
+            continue;
+        }
+
+        const key = String(tx.userId);
+        if (!rulesByUser.has(key)) {
+            rulesByUser.set(key, await CategoryRule.find({ userId: tx.userId }).sort({ createdAt: -1 }));
+        }
+        const rule = findCategoryRule(tx, rulesByUser.get(key));
+        if (rule) {
+            tx.category = rule.category;
+            tx.categorySource = 'rule';
+            continue;
+        }
+
+        if (tx.billerId) {
+            const billerKey = String(tx.billerId);
+            if (!billers.has(billerKey)) billers.set(billerKey, await Biller.findById(tx.billerId));
+            const biller = billers.get(billerKey);
+            if (biller) {
+                tx.category = titleCase(biller.category);
+                tx.categorySource = 'biller';
+                continue;
+            }
+        }
+
+        tx.category = defaultCategory(tx);
+        tx.categorySource = 'default';
+    }
+    return transactions;
+}
+
+// Re-tag a user's existing transactions that match a rule. Manual tags are left alone.
+async function applyCategoryRule(rule) {
+    const pattern = new RegExp(escapeRegex(rule.match), 'i');
+    const result = await Transaction.updateMany(
+        {
+            userId: rule.userId,
+            categorySource: { $ne: 'manual' },
+            $or: [{ description: pattern }, { toAccount: pattern }, { fromAccount: pattern }]
+        },
+        { category: rule.category, categorySource: 'rule' }
+    );
+    return result.modifiedCount;
+}
+
+// Aggregation equivalents of transactionCategory() and signedAmount() < 0
+const CATEGORY_EXPRESSION = {
+    $ifNull: ['$category', {
+        $switch: {
+            branches: [
+                { case: { $eq: ['$type', 'deposit'] }, then: 'Income' },
+                { case: { $eq: ['$type', 'withdrawal'] }, then: 'Withdrawals' },
+                { case: { $eq: ['$type', 'payment'] }, then: 'Bill Payments' }
+            ],
+            default: 'Transfers'
+        }
+    }]
+};
+
+function outgoingExpression(userId) {
+    return {
+        $not: [{
+            $or: [
+                { $eq: ['$type', 'deposit'] },
+                { $and: [{ $eq: ['$type', 'transfer'] }, { $ne: ['$fromUserId', userId] }] }
+            ]
+        }]
+    };
+}
+
+async function categoryOptions(userId) {
+    const custom = await Transaction.distinct('category', { userId, category: { $ne: null } });
+    return [...new Set([...TRANSACTION_CATEGORIES, ...custom])].sort();
+}
+
+// ========== BUDGETS ==========
+const BUDGET_ALERT_LEVELS = [100, 80];
+
+function budgetMonthStart(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+// This month's outgoing spend per category, as a Map of category → amount
+async function monthlyCategorySpend(userId, now = new Date()) {
+    userId = new mongoose.Types.ObjectId(String(userId));
+    const rows = await Transaction.aggregate([
+        {
+            $match: {
+                userId,
+                date: { $gte: budgetMonthStart(now) },
+                status: { $nin: ['failed', 'rejected'] },
+                kind: { $ne: 'conversion' }
+            }
+        },
+        { $match: { $expr: outgoingExpression(userId) } },
+        { $group: { _id: CATEGORY_EXPRESSION, amount: { $sum: '$amount' } } }
+    ]);
+    return new Map(rows.map(r => [r._id, r.amount]));
+}
+
+function budgetProgress(budget, spend) {
+    const spent = spend.get(budget.category) || 0;
+    return {
+        budget,
+        spent,
+        remaining: Math.max(0, budget.amount - spent),
+        percent: Math.round((spent / budget.amount) * 100)
+    };
+}
+
+// Called after money leaves an account. Sends the 80% / 100% alert for any
+// budget the new spend pushed over a threshold, at most once per level a month.
+async function checkBudgetAlerts(transactions) {
+    const spenders = new Set(transactions
+        .filter(tx => ['payment', 'transfer', 'withdrawal'].includes(tx.type) && signedAmount(tx, tx.userId) < 0)
+        .map(tx => String(tx.userId)));
+
+    for (const userId of spenders) {
+        const budgets = await Budget.find({ userId });
+        if (budgets.length === 0) continue;
+
+        const now = new Date();
+        const month = monthKey(now);
+        const spend = await monthlyCategorySpend(userId, now);
+
+        for (const budget of budgets) {
+            const progress = budgetProgress(budget, spend);
+            const level = BUDGET_ALERT_LEVELS.find(l => progress.percent >= l);
+            if (!level) continue;
+
+            // Claim the alert atomically so concurrent payments can't both send it
+            const claimed = await Budget.updateOne(
+                { _id: budget._id, $or: [{ alertMonth: { $ne: month } }, { alertLevel: { $lt: level } }] },
+                { alertMonth: month, alertLevel: level }
+            );
+            if (claimed.modifiedCount === 0) continue;
+
+            await sendBudgetAlert(budget, progress, level);
+        }
+    }
+}
+
+async function sendBudgetAlert(budget, progress, level) {
+    const user = await User.findById(budget.userId);
+    if (!user) return;
+
+    const money = currencyFormatter(user.currency);
+    const title = level >= 100 ? `${budget.category} budget exceeded` : `${budget.category} budget at ${level}%`;
+    const message = `You've spent ${money(progress.spent)} of your ${money(budget.amount)} ${budget.category} budget this month (${progress.percent}%).`;
+
+    await Notification.create({ userId: budget.userId, type: 'budget', title, message });
+
+    if (!budget.emailAlerts || !user.emailNotifications) return;
+
+    transporter.sendMail({
+        from: `"Saxon Bank" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+        to: user.email,
+        subject: `Saxon Bank: ${title}`,
+        html: `
+            <h2>${title}</h2>
+            <p>Hi ${user.name},</p>
+            <p>${message}</p>
+            <p>You can review your budgets at <a href="${APP_URL}/budgets">${APP_URL}/budgets</a>.</p>
+            <br>
+            <p>– Saxon Bank Team</p>
+        `
+    }).catch(error => console.error(`Budget alert email error for ${user.email}:`, error));
+}
+
+// ========== STATEMENTS ==========
+// Money in is positive, money out negative, from the point of view of `userId`
+function signedAmount(tx, userId) {
+    if (tx.type === 'deposit') return tx.amount;
+    if (tx.type === 'transfer' && !(tx.fromUserId && tx.fromUserId.equals(userId))) return tx.amount;
+    return -tx.amount;
+}
+
+function formatStatementDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Work out the statement period from ?month=YYYY-MM, ?from=&to= or ?period=current|last|year
+function resolveStatementPeriod(query) {
+    const now = new Date();
+    let from;
+    let to;
+
+    if (query.month && /^\d{4}-\d{2}$/.test(query.month)) {
+        const [year, month] = query.month.split('-').map(Number);
+        from = new Date(year, month - 1, 1);
+        to = new Date(year, month, 0, 23, 59, 59, 999);
+    } else if (query.from && query.to) {
+        from = new Date(query.from + 'T00:00:00');
+        to = new Date(query.to + 'T23:59:59.999');
+    } else if (query.period === 'last') {
+        from = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+        to = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59, 999);
+    } else if (query.period === 'year') {
+        from = new Date(now.getFullYear(), 0, 1);
+        to = now;
+    } else {
+        from = new Date(now.getFullYear(), now.getMonth(), 1);
+        to = now;
+    }
+
+    if (isNaN(from) || isNaN(to) || from > to) return null;
+    return { from, to };
+}
+
+// Statement lines with a running balance. The opening balance is worked back
+// from the current balance, so it stays correct however far back the period is.
+// Wallet legs of currency conversions are left out; they never touched this balance.
+async function buildStatement(user, from, to) {
+    const later = await Transaction.find({
+        userId: user._id,
+        date: { $gte: from },
+        status: { $ne: "failed" },
+        ...accountCurrencyFilter(user)
+    }).sort({ date: 1 });
+    const sinceFrom = later.reduce((sum, tx) => sum + signedAmount(tx, user._id), 0);
+    const openingBalance = user.balance - sinceFrom;
+
+    let balance = openingBalance;
+    let totalIn = 0;
+    let totalOut = 0;
+    const lines = later.filter(tx => tx.date <= to).map(tx => {
+        const amount = signedAmount(tx, user._id);
+        balance += amount;
+        if (amount > 0) totalIn += amount; else totalOut -= amount;
+        return {
+            date: tx.date,
+            description: tx.description || tx.type,
+            type: tx.type,
+            category: transactionCategory(tx),
+            status: tx.status,
+            amount,
+            balance
+        };
+    });
+
+    // Money in and out per category, biggest spend first
+    const byCategory = {};
+    lines.forEach(line => {
+        const totals = byCategory[line.category] || (byCategory[line.category] = { name: line.category, moneyIn: 0, moneyOut: 0 });
+        if (line.amount > 0) totals.moneyIn += line.amount; else totals.moneyOut -= line.amount;
+    });
+    const categories = Object.values(byCategory).sort((a, b) => b.moneyOut - a.moneyOut || b.moneyIn - a.moneyIn);
+
+    return { from, to, openingBalance, closingBalance: balance, totalIn, totalOut, lines, categories };
+}
+
+function csvEscape(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Stop spreadsheet apps from treating text cells as formulas
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = "'" + text;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function statementToCsv(user, statement) {
+    const rows = [
+        ['Saxon Bank - Account Statement'],
+        ['Account Holder', user.name],
+        ['Account Number', user.accountNumber],
+        ['Currency', user.currency],
+        ['Period', `${formatStatementDate(statement.from)} to ${formatStatementDate(statement.to)}`],
+        ['Opening Balance', statement.openingBalance.toFixed(2)],
+        [],
+        ['Date', 'Description', 'Type', 'Category', 'Status', 'Debit', 'Credit', 'Balance']
+    ];
+    statement.lines.forEach(line => {
+        rows.push([
+            formatStatementDate(line.date),
+            line.description,
+            line.type,
+            line.category,
+            line.status,
+            line.amount < 0 ? (-line.amount).toFixed(2) : '',
+            line.amount > 0 ? line.amount.toFixed(2) : '',
+            line.balance.toFixed(2)
+        ]);
+    });
+    rows.push([]);
+    rows.push(['Total Credits', statement.totalIn.toFixed(2)]);
+    rows.push(['Total Debits', statement.totalOut.toFixed(2)]);
+    rows.push(['Closing Balance', statement.closingBalance.toFixed(2)]);
+    if (statement.categories.length > 0) {
+        rows.push([]);
+        rows.push(['Category', 'Money In', 'Money Out']);
+        statement.categories.forEach(c => rows.push([c.name, c.moneyIn.toFixed(2), c.moneyOut.toFixed(2)]));
+    }
+    return rows.map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+}
+
+// Stream a PDF statement to `stream` (usually the response)
+function writeStatementPdf(user, statement, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const money = currencyFormatter(user.currency);
+    doc.pipe(stream);
+
+    const columns = [
+        { label: 'Date', x: 50, width: 70 },
+        { label: 'Description', x: 120, width: 190 },
+        { label: 'Debit', x: 310, width: 75, align: 'right' },
+        { label: 'Credit', x: 390, width: 75, align: 'right' },
+        { label: 'Balance', x: 470, width: 75, align: 'right' }
+    ];
+
+    const drawTableHeader = () => {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#5a6a7e');
+        const y = doc.y;
+        columns.forEach(col => doc.text(col.label, col.x, y, { width: col.width, align: col.align || 'left' }));
+        doc.moveTo(50, doc.y + 4).lineTo(545, doc.y + 4).strokeColor('#edf2f7').stroke();
+        doc.moveDown(0.8);
+        doc.font('Helvetica').fillColor('#1a2639');
+    };
+
+    // Bank header
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#0056B3').text('Saxon Bank', 50, 50);
+    doc.font('Helvetica').fontSize(9).fillColor('#5a6a7e').text('123 Banking Ave, New York, NY 10001 | 1-800-SAXON-BANK');
+    doc.moveDown(1.5);
+
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#1a2639').text('Account Statement');
+    doc.font('Helvetica').fontSize(10)
+        .text(`Account Holder: ${user.name}`)
+        .text(`Account Number: ${user.accountNumber}`)
+        .text(`Period: ${formatStatementDate(statement.from)} to ${formatStatementDate(statement.to)}`);
+    doc.moveDown();
+
+    doc.text(`Opening Balance: ${money(statement.openingBalance)}`)
+        .text(`Total Credits: ${money(statement.totalIn)}`)
+        .text(`Total Debits: ${money(statement.totalOut)}`)
+        .font('Helvetica-Bold').text(`Closing Balance: ${money(statement.closingBalance)}`);
+    doc.moveDown();
+
+    const spending = statement.categories.filter(c => c.moneyOut > 0);
+    if (spending.length > 0) {
+        doc.font('Helvetica-Bold').fontSize(10).text('Spending by Category');
+        doc.font('Helvetica').fontSize(9);
+        spending.forEach(c => {
+            const y = doc.y;
+            doc.text(c.name, 50, y, { width: 200 });
+            doc.text(money(c.moneyOut), 250, y, { width: 100, align: 'right' });
+        });
+        doc.x = 50;
+    }
+    doc.moveDown(1.5);
+
+    drawTableHeader();
+    doc.fontSize(9);
+    if (statement.lines.length === 0) {
+        doc.text('No transactions in this period.', 50, doc.y);
+    }
+    statement.lines.forEach(line => {
+        if (doc.y > 760) {
+            doc.addPage();
+            drawTableHeader();
+            doc.fontSize(9);
+        }
+        const y = doc.y;
+        const values = [
+            formatStatementDate(line.date),
+            line.status === 'completed' ? line.description : `${line.description} (${line.status})`,
+            line.amount < 0 ? money(-line.amount) : '',
+            line.amount > 0 ? money(line.amount) : '',
+            money(line.balance)
+        ];
+        let rowBottom = y;
+        columns.forEach((col, i) => {
+            doc.text(values[i], col.x, y, { width: col.width, align: col.align || 'left' });
+            rowBottom = Math.max(rowBottom, doc.y);
+        });
+        doc.y = rowBottom + 4;
+    });
+
+    doc.end();
+}
+
+// Render a statement PDF into memory, e.g. for an email attachment
+function renderStatementPdf(user, statement) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const sink = new PassThrough();
+        sink.on('data', chunk => chunks.push(chunk));
+        sink.on('end', () => resolve(Buffer.concat(chunks)));
+        sink.on('error', reject);
+        writeStatementPdf(user, statement, sink);
+    });
+}
+
+function sendStatement(res, user, statement, format) {
+    const filename = `statement-${user.accountNumber}-${formatStatementDate(statement.from)}-to-${formatStatementDate(statement.to)}`;
+    if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        return writeStatementPdf(user, statement, res);
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(statementToCsv(user, statement));
+}
+
+// ========== TRANSACTION SEARCH ==========
+const TRANSACTION_PAGE_SIZE = 25;
+const MAX_TRANSACTION_PAGE_SIZE = 100;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Cursors are opaque to clients: base64url of "<date ISO>|<_id>" for the last row served
+function encodeTransactionCursor(tx) {
+    return Buffer.from(`${tx.date.toISOString()}|${tx._id}`).toString('base64url');
+}
+
+function decodeTransactionCursor(cursor) {
+    const [iso, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+    const date = new Date(iso);
+    if (isNaN(date) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { date, id: new mongoose.Types.ObjectId(id) };
+}
+
+// Turn /api/transactions query params into a Mongo filter; returns { error } on bad input
+async function buildTransactionFilter(userId, query) {
+    const filter = { userId };
+
+    if (query.type && query.type !== 'all') {
+        if (!transactionSchema.path('type').enumValues.includes(query.type)) return { error: 'Invalid type' };
+        filter.type = query.type;
+    }
+    if (query.status && query.status !== 'all') {
+        if (!transactionSchema.path('status').enumValues.includes(query.status)) return { error: 'Invalid status' };
+        filter.status = query.status;
+    }
+
+    if (query.category && query.category !== 'all') {
+        const category = normalizeCategory(query.category);
+        if (!category) return { error: 'Invalid category' };
+        // Untagged legacy rows count as their type's default category
+        const legacyTypes = transactionSchema.path('type').enumValues.filter(type => defaultCategory({ type }) === category);
+        filter.$and = [{
+            $or: [
+                { category },
+                ...(legacyTypes.length ? [{ category: null, type: { $in: legacyTypes } }] : [])
+            ]
+        }];
+    }
+
+    if (query.minAmount || query.maxAmount) {
+        filter.amount = {};
+        if (query.minAmount) {
+            if (isNaN(Number(query.minAmount))) return { error: 'Invalid minimum amount' };
+            filter.amount.$gte = Number(query.minAmount);
+        }
+        if (query.maxAmount) {
+            if (isNaN(Number(query.maxAmount))) return { error: 'Invalid maximum amount' };
+            filter.amount.$lte = Number(query.maxAmount);
+        }
+    }
+
+    if (query.from || query.to) {
+        filter.date = {};
+        if (query.from) {
+            const from = new Date(query.from);
+            if (isNaN(from)) return { error: 'Invalid from date' };
+            filter.date.$gte = from;
+        }
+        if (query.to) {
+            const to = new Date(query.to);
+            if (isNaN(to)) return { error: 'Invalid to date' };
+            // A bare YYYY-MM-DD "to" date includes the whole day
+            if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setUTCHours(23, 59, 59, 999);
+            filter.date.$lte = to;
+        }
+    }
+
+    const search = (query.q || '').trim();
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search.slice(0, 100)), 'i');
+        const counterparties = await User.find({ $or: [{ name: pattern }, { accountNumber: pattern }] })
+            .select('_id')
+            .limit(50);
+        const ids = counterparties.map(u => u._id);
+        filter.$or = [
+            { description: pattern },
+            { toAccount: pattern },
+            { fromAccount: pattern },
+            { toUserId: { $in: ids } },
+            { fromUserId: { $in: ids } }
+        ];
+    }
+
+    return { filter };
+}
+
+// Search, amount and date filters for the admin review consoles. userFields are
+// the refs matched by customer name/email/account; textFields match the search directly.
+const REVIEW_HISTORY_LIMIT = 50;
+
+async function buildReviewFilter(query, { dateField, userFields, textFields = [] }) {
+    const filter = {};
+    const filters = {
+        q: (query.q || '').trim().slice(0, 100),
+        minAmount: query.minAmount || '',
+        maxAmount: query.maxAmount || '',
+        from: query.from || '',
+        to: query.to || ''
+    };
+
+    if (filters.minAmount || filters.maxAmount) {
+        filter.amount = {};
+        if (filters.minAmount) {
+            if (isNaN(Number(filters.minAmount))) return { filters, error: 'Invalid minimum amount' };
+            filter.amount.$gte = Number(filters.minAmount);
+        }
+        if (filters.maxAmount) {
+            if (isNaN(Number(filters.maxAmount))) return { filters, error: 'Invalid maximum amount' };
+            filter.amount.$lte = Number(filters.maxAmount);
+        }
+    }
+
+    if (filters.from || filters.to) {
+        filter[dateField] = {};
+        if (filters.from) {
+            const from = new Date(filters.from);
+            if (isNaN(from)) return { filters, error: 'Invalid from date' };
+            filter[dateField].$gte = from;
+        }
+        if (filters.to) {
+            const to = new Date(filters.to);
+            if (isNaN(to)) return { filters, error: 'Invalid to date' };
+            if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) to.setUTCHours(23, 59, 59, 999);
+            filter[dateField].$lte = to;
+        }
+    }
+
+    if (filters.q) {
+        const pattern = new RegExp(escapeRegex(filters.q), 'i');
+        const users = await User.find({ $or: [{ name: pattern }, { email: pattern }, { accountNumber: pattern }] })
+            .select('_id')
+            .limit(200);
+        const ids = users.map(u => u._id);
+        filter.$or = [
+            ...userFields.map(field => ({ [field]: { $in: ids } })),
+            ...textFields.map(field => ({ [field]: pattern }))
+        ];
+    }
+
+    return { filter, filters };
+}
+
+// Shape a transaction for the API: signed amount and counterparty names from the user's side
+function serializeTransaction(tx, userId, names) {
+    const outgoing = signedAmount(tx, userId) < 0;
+    const counterpartyId = outgoing ? tx.toUserId : tx.fromUserId;
+    const counterparty = counterpartyId && names.get(String(counterpartyId));
+    const counterpartyLabel = counterparty
+        ? `${counterparty.name} (${counterparty.accountNumber})`
+        : (outgoing ? tx.toAccount : tx.fromAccount) || (tx.type === 'deposit' ? 'Deposit' : tx.description || '');
+
+    return {
+        id: String(tx._id),
+        date: tx.date,
+        description: tx.description || '',
+        type: tx.type,
+        category: transactionCategory(tx),
+        categorySource: tx.categorySource || 'default',
+        status: tx.status,
+        amount: signedAmount(tx, userId),
+        currency: tx.currency || 'USD',
+        from: outgoing ? 'Your Account' : counterpartyLabel,
+        to: outgoing ? counterpartyLabel : 'Your Account',
+        reference: String(tx._id).slice(-8).toUpperCase(),
+        processedDate: tx.processedDate || null
+    };
+}
+
+async function loadCounterpartyNames(transactions) {
+    const ids = new Set();
+    transactions.forEach(tx => {
+        if (tx.toUserId) ids.add(String(tx.toUserId));
+        if (tx.fromUserId) ids.add(String(tx.fromUserId));
+    });
+    const users = await User.find({ _id: { $in: [...ids] } }).select('name accountNumber');
+    return new Map(users.map(u => [String(u._id), u]));
+}
+
+// ========== SPENDING INSIGHTS ==========
+const SPENDING_PERIODS = ['week', 'month', 'quarter', 'year'];
+const SPENDING_TREND_MONTHS = 6;
+// Money coming in that wasn't earned: loan disbursements, refunds of rejected
+// transfers and the incoming leg of a currency conversion
+const NON_INCOME_KINDS = ['loan_disbursement', 'refund', 'conversion'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function monthKey(date) {
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+function savingsRate(income, spent) {
+    if (income <= 0) return 0;
+    return Math.round(((income - spent) / income) * 1000) / 10;
+}
+
+// Start of the insights window (UTC, to match the Mongo date operators)
+function spendingPeriodStart(period, now) {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    switch (period) {
+        case 'week': return new Date(today - 6 * DAY_MS);
+        case 'quarter': return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 2, 1));
+        case 'year': return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+        default: return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    }
+}
+
+// Money in is deposits and transfers received; everything else the user sent is spend,
+// grouped by transaction category (type default for anything saved without one).
+// Only the account currency counts; conversions are neither income nor spend,
+// and loan disbursements and refunds aren't income.
+async function buildSpendingInsights(user, period, now = new Date()) {
+    const start = spendingPeriodStart(period, now);
+    const trendStart = new Date(Math.min(
+        Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1),
+        Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (SPENDING_TREND_MONTHS - 1), 1)
+    ));
+
+    const [txFacets] = await Transaction.aggregate([
+        {
+            $match: {
+                userId: user._id,
+                date: { $gte: trendStart },
+                status: { $nin: ['failed', 'rejected'] },
+                kind: { $nin: NON_INCOME_KINDS },
+                ...accountCurrencyFilter(user)
+            }
+        },
+        {
+            $addFields: {
+                direction: { $cond: [outgoingExpression(user._id), 'out', 'in'] },
+                month: { $dateToString: { format: '%Y-%m', date: '$date' } },
+                category: CATEGORY_EXPRESSION
+            }
+        },
+        {
+            $facet: {
+                totals: [
+                    { $match: { date: { $gte: start } } },
+                    { $group: { _id: '$direction', amount: { $sum: '$amount' } } }
+                ],
+                categories: [
+                    { $match: { date: { $gte: start }, direction: 'out' } },
+                    { $group: { _id: '$category', amount: { $sum: '$amount' } } }
+                ],
+                monthly: [
+                    {
+                        $group: {
+                            _id: { month: '$month', direction: '$direction', category: '$category' },
+                            amount: { $sum: '$amount' }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const round = value => Math.round(value * 100) / 100;
+
+    // Period totals and category breakdown
+    const totalSpent = txFacets.totals.find(t => t._id === 'out')?.amount || 0;
+    const totalIncome = txFacets.totals.find(t => t._id === 'in')?.amount || 0;
+    const categories = txFacets.categories
+        .map(c => ({ name: c._id, amount: round(c.amount) }))
+        .sort((a, b) => b.amount - a.amount);
+
+    // Month-by-month trend, oldest first so each month can compare to the one before
+    const months = [];
+    for (let d = new Date(trendStart); d <= now; d = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1))) {
+        months.push({
+            key: monthKey(d),
+            name: d.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+            income: 0,
+            total: 0,
+            categoryTotals: {}
+        });
+    }
+    const byKey = new Map(months.map(m => [m.key, m]));
+    txFacets.monthly.forEach(row => {
+        const month = byKey.get(row._id.month);
+        if (!month) return;
+        if (row._id.direction === 'in') {
+            month.income += row.amount;
+            return;
+        }
+        month.total += row.amount;
+        month.categoryTotals[row._id.category] = (month.categoryTotals[row._id.category] || 0) + row.amount;
+    });
+
+    const monthly = months.map((month, i) => ({
+        month: month.key,
+        name: month.name,
+        total: round(month.total),
+        income: round(month.income),
+        net: round(month.income - month.total),
+        savingsRate: savingsRate(month.income, month.total),
+        change: i > 0 ? percentChange(month.total, months[i - 1].total) : null,
+        categories: Object.entries(month.categoryTotals)
+            .map(([name, amount]) => ({ name, amount: round(amount) }))
+            .sort((a, b) => b.amount - a.amount)
+    })).reverse();
+
+    const days = Math.max(1, Math.ceil((now - start) / DAY_MS));
+    const summary = {
+        period,
+        from: start,
+        to: now,
+        totalSpent: round(totalSpent),
+        totalIncome: round(totalIncome),
+        net: round(totalIncome - totalSpent),
+        avgPerDay: round(totalSpent / days),
+        topCategory: categories.length ? categories[0].name : 'N/A',
+        savingsRate: savingsRate(totalIncome, totalSpent),
+        monthOverMonth: monthly.length > 1 ? monthly[0].change : null
+    };
+
+    return {
+        summary,
+        chart: { labels: categories.map(c => c.name), values: categories.map(c => c.amount) },
+        categories,
+        monthly
+    };
+}
+
+// ========== MONTHLY STATEMENT CYCLE ==========
+function statementTotalsByType(statement) {
+    const totals = { deposit: 0, withdrawal: 0, payment: 0, transferIn: 0, transferOut: 0 };
+    statement.lines.forEach(line => {
+        if (line.type === 'transfer') {
+            totals[line.amount > 0 ? 'transferIn' : 'transferOut'] += Math.abs(line.amount);
+        } else {
+            totals[line.type] += Math.abs(line.amount);
+        }
+    });
+    return totals;
+}
+
+const STATEMENT_EMAIL_LOCK_MS = 10 * 60 * 1000;
+
+// Whether a statement's email still has to go out: never sent, failed, or stuck
+// in "sending" past its lock because the process died mid-send
+function statementEmailDue(record, now = new Date()) {
+    return ['pending', 'failed'].includes(record.emailStatus) ||
+        (record.emailStatus === 'sending' && !(record.emailLockedUntil > now));
+}
+
+// Email a closed statement. The flip to "sending" with a lock is the claim, so
+// overlapping runs never send the same statement at once; a lock that expires
+// without the email being marked sent is picked up again by the next run.
+async function emailStatement(user, record, statement) {
+    const now = new Date();
+    const claimed = await Statement.updateOne(
+        {
+            _id: record._id,
+            $or: [
+                { emailStatus: { $in: ['pending', 'failed'] } },
+                { emailStatus: 'sending', $or: [{ emailLockedUntil: null }, { emailLockedUntil: { $lte: now } }] }
+            ]
+        },
+        { emailStatus: 'sending', emailLockedUntil: new Date(now.getTime() + STATEMENT_EMAIL_LOCK_MS) }
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    try {
+        const pdf = await renderStatementPdf(user, statement);
+        await transporter.sendMail({
+            from: `"Saxon Bank" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+            to: user.email,
+            subject: `Your Saxon Bank statement for ${record.month}`,
+            html: `
+                <h2>Your Monthly Statement</h2>
+                <p>Hi ${user.name},</p>
+                <p>Your statement for account ${user.accountNumber} covering ${record.month} is attached.</p>
+                <ul>
+                    <li><strong>Opening balance:</strong> ${formatCurrency(record.openingBalance, user.currency)}</li>
+                    <li><strong>Money in:</strong> ${formatCurrency(record.totalIn, user.currency)}</li>
+                    <li><strong>Money out:</strong> ${formatCurrency(record.totalOut, user.currency)}</li>
+                    <li><strong>Closing balance:</strong> ${formatCurrency(record.closingBalance, user.currency)}</li>
+                </ul>
+                <p>You can also download past statements any time from the Statements page.</p>
+                <br>
+                <p>– Saxon Bank Team</p>
+            `,
+            attachments: [{
+                filename: `statement-${user.accountNumber}-${record.month}.pdf`,
+                content: pdf,
+                contentType: 'application/pdf'
+            }]
+        });
+        await Statement.updateOne({ _id: record._id }, { emailStatus: 'sent', emailedAt: new Date(), emailLockedUntil: null });
+    } catch (error) {
+        console.error(`Statement email error for ${user.email}:`, error);
+        await Statement.updateOne({ _id: record._id }, { emailStatus: 'failed', emailLockedUntil: null });
+    }
+}
+
+// Close last month's statement for every account that doesn't have one yet.
+// Safe to re-run: the unique (userId, month) index stops duplicate statements
+// and emailStatement() only sends once a statement's email is due.
+let statementCycleRunning = false;
+async function runStatementCycle(now = new Date()) {
+    if (statementCycleRunning) return;
+    statementCycleRunning = true;
+    try {
+        const periodStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+        const periodEnd = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59, 999);
+        const month = `${periodStart.getFullYear()}-${String(periodStart.getMonth() + 1).padStart(2, '0')}`;
+
+        // Only accounts still missing a statement, or still owed its email, need
+        // their transactions scanned; the rest were finished on an earlier run
+        const users = await User.find({ createdAt: { $lte: periodEnd } });
+        const records = new Map((await Statement.find({ month }))
+            .map(record => [String(record.userId), record]));
+        let closed = 0;
+        for (const user of users) {
+            let record = records.get(String(user._id));
+            const emailDue = user.emailNotifications && (!record || statementEmailDue(record));
+            if (record && !emailDue) continue;
+
+            const statement = await buildStatement(user, periodStart, periodEnd);
+            if (!record) {
+                try {
+                    record = await Statement.create({
+                        userId: user._id,
+                        month,
+                        periodStart,
+                        periodEnd,
+                        openingBalance: statement.openingBalance,
+                        closingBalance: statement.closingBalance,
+                        totalIn: statement.totalIn,
+                        totalOut: statement.totalOut,
+                        totalsByType: statementTotalsByType(statement),
+                        transactionCount: statement.lines.length,
+                        emailStatus: user.emailNotifications ? 'pending' : 'skipped'
+                    });
+                    closed++;
+                } catch (error) {
+                    if (error.code !== 11000) throw error;
+                    record = await Statement.findOne({ userId: user._id, month });
+                }
+            }
+
+            if (user.emailNotifications && statementEmailDue(record)) {
+                await emailStatement(user, record, statement);
+            }
+        }
+        if (closed > 0) {
+            console.log(`📄 Statement cycle ${month}: ${closed} statement(s) closed`);
+        }
+    } catch (error) {
+        console.error("Statement cycle error:", error);
+    } finally {
+        statementCycleRunning = false;
+    }
+}
+
+// ========== LEDGER ==========
+const LEDGER_ACCOUNTS = {
+    CASH: 'system:cash',
+    TRANSFER_CLEARING: 'system:transfer-clearing',
+    BILL_SETTLEMENT: 'system:bill-settlement',
+    LOANS_RECEIVABLE: 'system:loans-receivable',
+    LOAN_INTEREST: 'system:loan-interest',
+    LOAN_FEES: 'system:loan-fees',
+    FX_CONVERSION: 'system:fx-conversion',
+    ADJUSTMENTS: 'system:adjustments',
+    OPENING_BALANCES: 'system:opening-balances'
+};
+
+class LedgerError extends Error {}
+
+function toCents(amount) {
+    return Math.round(Number(amount) * 100);
+}
+
+// Build one journal line. `account` is either a LEDGER_ACCOUNTS value or a user's _id.
+// Without a currency, customer lines are in the account's currency and system
+// lines follow the rest of the journal.
+function ledgerLine(side, account, amount, currency = null) {
+    const isSystem = typeof account === 'string' && account.startsWith('system:');
+    return {
+        side,
+        amount: Number(amount),
+        account: isSystem ? account : `user:${account}`,
+        userId: isSystem ? null : account,
+        currency
+    };
+}
+
+// A line on the customer's money in `currency`: their main balance when it's the
+// account currency, otherwise their wallet in that currency
+function currencyLine(side, user, currency, amount) {
+    if (currency === user.currency) return ledgerLine(side, user._id, amount, currency);
+    return {
+        side,
+        amount: Number(amount),
+        account: `user:${user._id}:${currency}`,
+        userId: user._id,
+        wallet: currency,
+        currency
+    };
+}
+
+// Post a balanced journal atomically: ledger entries, the matching User.balance
+// changes and any Transaction records are written in one MongoDB transaction
+// (requires a replica set). `work(session, journalId)` can write extra documents
+// in the same transaction. Debits against a customer fail if funds are short.
+async function postJournal({ description, entries, transactions = [], createdBy = null }, work) {
+    for (const entry of entries) {
+        if (!(entry.amount > 0)) {
+            throw new LedgerError('Amount must be greater than zero');
+        }
+    }
+
+    await assignCurrencies(entries, transactions);
+    const totals = {};
+    for (const entry of entries) {
+        totals[entry.currency] = totals[entry.currency] || { debit: 0, credit: 0 };
+        totals[entry.currency][entry.side] += toCents(entry.amount);
+    }
+    if (Object.values(totals).some(total => total.debit !== total.credit)) {
+        throw new LedgerError('Journal is not balanced');
+    }
+
+    await categorizeTransactions(transactions);
+
+    const journalId = new mongoose.Types.ObjectId();
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        let committed = [];
+        await session.withTransaction(async () => {
+            for (const entry of entries) {
+                if (!entry.userId) continue;
+                const delta = entry.side === 'credit' ? entry.amount : -entry.amount;
+                const filter = { _id: entry.userId };
+                let update;
+                if (entry.wallet) {
+                    filter.wallets = { $elemMatch: { currency: entry.wallet } };
+                    if (delta < 0) filter.wallets.$elemMatch.balance = { $gte: -delta };
+                    update = { $inc: { 'wallets.$.balance': delta } };
+                } else {
+                    if (delta < 0) filter.balance = { $gte: -delta };
+                    update = { $inc: { balance: delta } };
+                }
+                const updated = await User.updateOne(filter, update, { session });
+                if (updated.matchedCount === 0) {
+                    throw new LedgerError(delta < 0 ? 'Insufficient funds' : 'Account not found');
+                }
+            }
+
+            await LedgerEntry.insertMany(entries.map(entry => ({
+                ...entry,
+                journalId,
+                description,
+                createdBy
+            })), { session });
+
+            const records = transactions.length
+                ? await Transaction.create(transactions.map(t => ({ ...t, journalId })), { session, ordered: true })
+                : [];
+            result = work ? await work(session, journalId, records) : records;
+            committed = records;
+        });
+        checkBudgetAlerts(committed).catch(error => console.error("Budget alert error:", error));
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+// Fill in currencies the caller left out: customer lines and Transaction records
+// take their account's currency, system lines the journal's.
+async function assignCurrencies(entries, transactions) {
+    const userIds = [...entries, ...transactions].map(item => item.userId).filter(Boolean);
+    const accounts = await User.find({ _id: { $in: userIds } }, 'currency');
+    const accountCurrency = new Map(accounts.map(user => [String(user._id), user.currency]));
+
+    entries.forEach(entry => {
+        if (!entry.currency && entry.userId) entry.currency = accountCurrency.get(String(entry.userId)) || 'USD';
+    });
+    const journalCurrencies = [...new Set(entries.map(entry => entry.currency).filter(Boolean))];
+    for (const entry of entries) {
+        if (entry.currency) continue;
+        if (journalCurrencies.length > 1) {
+            throw new LedgerError('Journal mixes currencies; give each line a currency');
+        }
+        entry.currency = journalCurrencies[0] || 'USD';
+    }
+    transactions.forEach(transaction => {
+        if (!transaction.currency) transaction.currency = accountCurrency.get(String(transaction.userId)) || 'USD';
+    });
+}
+
+// Compare every customer's stored balance with the sum of their ledger entries.
+async function reconcileLedger() {
+    const sums = await LedgerEntry.aggregate([
+        { $match: { userId: { $ne: null } } },
+        {
+            $group: {
+                _id: { userId: "$userId", wallet: "$wallet" },
+                credits: { $sum: { $cond: [{ $eq: ["$side", "credit"] }, "$amount", 0] } },
+                debits: { $sum: { $cond: [{ $eq: ["$side", "debit"] }, "$amount", 0] } }
+            }
+        }
+    ]);
+    const ledgerKey = (userId, wallet) => `${userId}:${wallet || ''}`;
+    const ledgerBalances = new Map(sums.map(s => [ledgerKey(s._id.userId, s._id.wallet), s.credits - s.debits]));
+
+    const users = await User.find({}, "name email accountNumber balance currency wallets");
+    const discrepancies = [];
+    users.forEach(user => {
+        const balances = [{ wallet: null, currency: user.currency, storedBalance: user.balance }]
+            .concat(user.wallets.map(w => ({ wallet: w.currency, currency: w.currency, storedBalance: w.balance })));
+        balances.forEach(({ wallet, currency, storedBalance }) => {
+            const ledgerBalance = ledgerBalances.get(ledgerKey(user._id, wallet)) || 0;
+            if (toCents(ledgerBalance) !== toCents(storedBalance)) {
+                discrepancies.push({
+                    userId: user._id,
+                    name: user.name,
+                    email: user.email,
+                    accountNumber: user.accountNumber,
+                    currency,
+                    wallet,
+                    storedBalance,
+                    ledgerBalance,
+                    difference: (toCents(storedBalance) - toCents(ledgerBalance)) / 100
+                });
+            }
+        });
+    });
+
+    // Debits and credits only have to agree within each currency
+    const totals = await LedgerEntry.aggregate([
+        {
+            $group: {
+                _id: { $ifNull: ["$currency", "USD"] },
+                debits: { $sum: { $cond: [{ $eq: ["$side", "debit"] }, "$amount", 0] } },
+                credits: { $sum: { $cond: [{ $eq: ["$side", "credit"] }, "$amount", 0] } }
+            }
+        }
+    ]);
+    const currencies = {};
+    totals.forEach(t => {
+        currencies[t._id] = { debits: t.debits, credits: t.credits, balanced: toCents(t.debits) === toCents(t.credits) };
+    });
+    const debits = totals.reduce((sum, t) => sum + t.debits, 0);
+    const credits = totals.reduce((sum, t) => sum + t.credits, 0);
+
+    return {
+        checkedAt: new Date(),
+        accountsChecked: users.length,
+        discrepancies,
+        trialBalance: {
+            debits,
+            credits,
+            currencies,
+            balanced: Object.values(currencies).every(c => c.balanced)
+        }
+    };
+}
+
+async function runLedgerReconciliation() {
+    try {
+        const report = await reconcileLedger();
+        if (report.discrepancies.length || !report.trialBalance.balanced) {
+            console.warn(`⚠️ Ledger reconciliation: ${report.discrepancies.length} account(s) out of balance`);
+            report.discrepancies.forEach(d => {
+                console.warn(`   ${d.accountNumber} (${d.email}) ${d.currency}: stored ${d.storedBalance}, ledger ${d.ledgerBalance}`);
+            });
+        } else {
+            console.log(`✅ Ledger reconciliation: ${report.accountsChecked} accounts in balance`);
+        }
+    } catch (error) {
+        console.error("Ledger reconciliation error:", error);
+    }
+}
+
+// ========== TRANSFERS ==========
+// Validation failures a customer can act on; the message is safe to show them
+class TransferError extends Error {}
+
+const INVALID_ACCOUNT_NUMBER_MESSAGE = "That account number isn't valid. Please check it and try again.";
+
+// Why a transfer was held for review, as shown to admins
+const TRANSFER_HOLD_REASONS = {
+    auto_approval_off: 'Auto-approval is turned off',
+    kyc_unverified: 'Sender is not KYC-verified',
+    untrusted_sender: 'Sender is not yet trusted',
+    large_amount: 'Large amount',
+    new_payee: 'New payee',
+    unusual_velocity: 'Unusual velocity',
+    auto_approval_failed: 'Automatic release failed'
+};
+
+// Numeric fields an admin can edit on the rules page
+const TRANSFER_RULE_FIELDS = {
+    autoApproveMaxAmount: { label: 'Auto-approval limit', min: 0 },
+    newPayeeMaxAmount: { label: 'New payee limit', min: 0 },
+    velocityWindowHours: { label: 'Velocity window', min: 1 },
+    velocityMaxCount: { label: 'Transfers per window', min: 1 },
+    velocityMaxAmount: { label: 'Amount per window', min: 0 },
+    trustedMinAccountAgeDays: { label: 'Minimum account age', min: 0 },
+    trustedMinCompletedTransfers: { label: 'Minimum completed transfers', min: 0 }
+};
+
+function getTransferRules() {
+    return TransferRuleSet.findOneAndUpdate(
+        { key: 'default' },
+        { $setOnInsert: { key: 'default' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+// Run the approval rules for a transfer that is about to be posted. Every
+// failed rule adds a reason code; no reasons means it can be released at once.
+async function evaluateTransferRules(sender, recipient, amount, rules, now = new Date()) {
+    const reasons = [];
+    const details = [];
+    const hold = (code, detail) => {
+        if (!reasons.includes(code)) reasons.push(code);
+        details.push(detail);
+    };
+
+    if (!rules.autoApproveEnabled) {
+        hold('auto_approval_off', 'All transfers are currently reviewed by hand');
+    }
+    if (rules.requireKyc && !sender.isVerified) {
+        hold('kyc_unverified', 'Sender has not completed KYC verification');
+    }
+
+    const accountAgeDays = Math.floor((now - sender.createdAt) / DAY_MS);
+    if (accountAgeDays < rules.trustedMinAccountAgeDays) {
+        hold('untrusted_sender', `Account is ${accountAgeDays} day(s) old (trusted after ${rules.trustedMinAccountAgeDays})`);
+    }
+    const completedTransfers = await Transaction.countDocuments({
+        userId: sender._id,
+        fromUserId: sender._id,
+        type: "transfer",
+        status: "completed"
+    });
+    if (completedTransfers < rules.trustedMinCompletedTransfers) {
+        hold('untrusted_sender', `${completedTransfers} completed transfer(s) (trusted after ${rules.trustedMinCompletedTransfers})`);
+    }
+
+    if (amount > rules.autoApproveMaxAmount) {
+        hold('large_amount', `${formatCurrency(amount, sender.currency)} is over the ${formatCurrency(rules.autoApproveMaxAmount, sender.currency)} auto-approval limit`);
+    }
+    if (amount > rules.newPayeeMaxAmount && await isFirstTransferTo(sender, recipient)) {
+        hold('new_payee', `First transfer to ${recipient.accountNumber} is over ${formatCurrency(rules.newPayeeMaxAmount, sender.currency)}`);
+    }
+
+    const since = new Date(now.getTime() - rules.velocityWindowHours * 60 * 60 * 1000);
+    const [recent] = await Transaction.aggregate([
+        {
+            $match: {
+                userId: sender._id,
+                fromUserId: sender._id,
+                type: "transfer",
+                status: { $in: ["pending", "completed"] },
+                date: { $gte: since }
+            }
+        },
+        { $group: { _id: null, count: { $sum: 1 }, total: { $sum: "$amount" } } }
+    ]);
+    const recentCount = (recent ? recent.count : 0) + 1;
+    const recentTotal = (recent ? recent.total : 0) + amount;
+    if (recentCount > rules.velocityMaxCount) {
+        hold('unusual_velocity', `${recentCount} transfers in ${rules.velocityWindowHours}h (limit ${rules.velocityMaxCount})`);
+    }
+    if (recentTotal > rules.velocityMaxAmount) {
+        hold('unusual_velocity', `${formatCurrency(recentTotal, sender.currency)} sent in ${rules.velocityWindowHours}h (limit ${formatCurrency(rules.velocityMaxAmount, sender.currency)})`);
+    }
+
+    return {
+        decision: reasons.length ? 'held' : 'auto_approved',
+        reasons,
+        details,
+        decidedAt: now
+    };
+}
+
+// Release a pending transfer from clearing to the recipient. processedBy is the
+// reviewing admin, or null when the approval rules released it automatically.
+async function settleTransfer(transaction, { processedBy = null, note } = {}) {
+    const recipient = await User.findById(transaction.toUserId);
+    if (!recipient) {
+        throw new TransferError("Recipient not found");
+    }
+
+    const now = new Date();
+    const update = { status: "completed", processedBy, processedDate: now };
+    if (processedBy) {
+        Object.assign(update, { 'approval.decision': 'approved', 'approval.decidedBy': processedBy, 'approval.decidedAt': now });
+        if (note) update['approval.note'] = note;
+    }
+
+    await postJournal({
+        description: `Transfer from ${transaction.fromAccount || 'unknown'}`,
+        entries: [
+            ledgerLine('debit', LEDGER_ACCOUNTS.TRANSFER_CLEARING, transaction.amount),
+            ledgerLine('credit', recipient._id, transaction.amount)
+        ],
+        transactions: [{
+            userId: recipient._id,
+            type: "transfer",
+            amount: transaction.amount,
+            description: `Transfer from ${transaction.fromAccount || 'unknown'}`,
+            fromAccount: transaction.fromAccount,
+            fromUserId: transaction.fromUserId,
+            status: "completed",
+            date: now
+        }],
+        createdBy: processedBy
+    }, async (session) => {
+        const updated = await Transaction.updateOne(
+            { _id: transaction._id, status: "pending" },
+            update,
+            { session }
+        );
+        if (updated.modifiedCount === 0) {
+            throw new LedgerError('Transfer has already been processed');
+        }
+    });
+
+    await notifyTransfer('approved', transaction);
+    return recipient;
+}
+
+// Return a held transfer's funds from clearing to the sender
+async function refundTransfer(transaction, { processedBy, note } = {}) {
+    const sender = await User.findById(transaction.fromUserId);
+    if (!sender) {
+        throw new TransferError("Sender not found");
+    }
+
+    const now = new Date();
+    const update = {
+        status: "rejected",
+        processedBy,
+        processedDate: now,
+        'approval.decision': 'rejected',
+        'approval.decidedBy': processedBy,
+        'approval.decidedAt': now
+    };
+    if (note) update['approval.note'] = note;
+
+    await postJournal({
+        description: "Refund for rejected transfer",
+        entries: [
+            ledgerLine('debit', LEDGER_ACCOUNTS.TRANSFER_CLEARING, transaction.amount),
+            ledgerLine('credit', sender._id, transaction.amount)
+        ],
+        transactions: [{
+            userId: sender._id,
+            type: "deposit",
+            amount: transaction.amount,
+            description: "Refund for rejected transfer",
+            kind: "refund",
+            status: "completed",
+            processedBy,
+            processedDate: now
+        }],
+        createdBy: processedBy
+    }, async (session) => {
+        const updated = await Transaction.updateOne(
+            { _id: transaction._id, status: "pending" },
+            update,
+            { session }
+        );
+        if (updated.modifiedCount === 0) {
+            throw new LedgerError('Transfer has already been processed');
+        }
+    });
+
+    await notifyTransfer('rejected', transaction);
+    return sender;
+}
+
+// What the sender sees once a transfer has been submitted
+function transferResultMessage(transaction) {
+    if (transaction.status === 'completed') {
+        return `Transfer of ${formatCurrency(transaction.amount, transaction.currency)} to account ${transaction.toAccount} completed.`;
+    }
+    return `Transfer initiated! Amount ${formatCurrency(transaction.amount, transaction.currency)} debited from your account. It will be released once our team has reviewed it.`;
+}
+
+// The checks and ledger posting behind every customer transfer, whether sent from
+// the transfer page or by a standing order (which sends its own sender notice). Funds move to the clearing account,
+// then straight on to the recipient if the approval rules pass; otherwise they
+// wait there for an admin to approve or reject the transfer.
+// `work(session)` runs inside the journal's transaction, for callers whose own
+// records must commit or roll back with the payment.
+async function initiateTransfer(sender, { toAccount, amount, description }, { notifySender = true, work = null } = {}) {
+    amount = Number(amount);
+    toAccount = normalizeAccountNumber(toAccount);
+    if (!isValidAccountNumber(toAccount)) {
+        throw new TransferError(INVALID_ACCOUNT_NUMBER_MESSAGE);
+    }
+    const recipient = await User.findOne({ accountNumber: toAccount });
+
+    if (!recipient) {
+        throw new TransferError("Recipient account not found");
+    }
+
+    // Clearing settles in the sender's currency, so both sides must match
+    if (recipient.currency !== sender.currency) {
+        throw new TransferError(`This account is held in ${recipient.currency}. Transfers can only be made between accounts in the same currency.`);
+    }
+
+    if (!(amount > 0)) {
+        throw new TransferError("Please enter a valid amount");
+    }
+
+    if (sender.balance < amount) {
+        throw new TransferError("Insufficient funds");
+    }
+
+    const limitError = await checkTransactionLimits(sender, amount);
+    if (limitError) {
+        throw new TransferError(limitError);
+    }
+
+    const rules = await getTransferRules();
+    const approval = await evaluateTransferRules(sender, recipient, amount, rules);
+
+    const [transaction] = await postJournal({
+        description: `Transfer to account ${toAccount}`,
+        entries: [
+            ledgerLine('debit', sender._id, amount),
+            ledgerLine('credit', LEDGER_ACCOUNTS.TRANSFER_CLEARING, amount)
+        ],
+        transactions: [{
+            userId: sender._id,
+            type: "transfer",
+            amount,
+            description: description || `Transfer to account ${toAccount}`,
+            toAccount: toAccount,
+            toUserId: recipient._id,
+            fromAccount: sender.accountNumber,
+            fromUserId: sender._id,
+            status: "pending",
+            approval
+        }]
+    }, async (session, journalId, records) => {
+        if (work) await work(session);
+        return records;
+    });
+
+    if (approval.decision === 'auto_approved') {
+        try {
+            await settleTransfer(transaction);
+            transaction.status = 'completed';
+        } catch (error) {
+            console.error(`Auto-approval of transfer ${transaction._id} failed:`, error);
+            await Transaction.updateOne(
+                { _id: transaction._id, status: "pending" },
+                {
+                    'approval.decision': 'held',
+                    'approval.reasons': ['auto_approval_failed'],
+                    'approval.details': [error.message]
+                }
+            );
+        }
+    }
+
+    // An auto-approved transfer has already told both parties it completed
+    if (transaction.status === 'pending') {
+        await notifyTransfer('initiated', transaction, { roles: notifySender ? ['sender', 'recipient'] : ['recipient'] });
+    }
+    return { transaction, recipient };
+}
+
+// ========== TRANSFER NOTIFICATIONS ==========
+// One template per lifecycle event and party. Each returns the in-app title and
+// message; the email reuses them inside a shared layout with the transfer details.
+const TRANSFER_NOTIFICATION_TEMPLATES = {
+    initiated: {
+        sender: ({ amount, recipientName }) => ({
+            title: 'Transfer Submitted',
+            message: `Your transfer of ${amount} to ${recipientName} has been submitted and is being reviewed. The money has been taken from your balance and will be released once the review is complete.`
+        }),
+        recipient: ({ amount, senderName }) => ({
+            title: 'Incoming Transfer Pending',
+            message: `${senderName} has sent you ${amount}. It will be credited to your account once it has been reviewed.`
+        })
+    },
+    approved: {
+        sender: ({ amount, recipientName }) => ({
+            title: 'Transfer Completed',
+            message: `Your transfer of ${amount} to ${recipientName} has been completed.`
+        }),
+        recipient: ({ amount, senderName }) => ({
+            title: 'Money Received',
+            message: `${amount} from ${senderName} has been credited to your account.`
+        })
+    },
+    rejected: {
+        sender: ({ amount, recipientName }) => ({
+            title: 'Transfer Rejected',
+            message: `Your transfer of ${amount} to ${recipientName} was not approved. The full amount has been refunded to your account.`
+        }),
+        recipient: ({ amount, senderName }) => ({
+            title: 'Incoming Transfer Cancelled',
+            message: `The pending transfer of ${amount} from ${senderName} has been cancelled and will not be credited.`
+        })
+    }
+};
+
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function transferEmailHtml(user, { title, message }, transaction, role) {
+    const details = [
+        ['Amount', formatCurrency(transaction.amount, transaction.currency)],
+        [role === 'sender' ? 'To account' : 'From account', role === 'sender' ? transaction.toAccount : transaction.fromAccount],
+        ['Reference', transaction.description],
+        ['Date', new Date(transaction.date).toLocaleString('en-US')]
+    ].filter(([, value]) => value);
+
+    return `
+        <h2>${escapeHtml(title)}</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>${escapeHtml(message)}</p>
+        <ul>
+            ${details.map(([label, value]) => `<li><strong>${label}:</strong> ${escapeHtml(value)}</li>`).join('\n            ')}
+        </ul>
+        <p>You can see all your activity at <a href="${APP_URL}/transactions">${APP_URL}/transactions</a>.</p>
+        <br>
+        <p>– Saxon Bank Team</p>
+    `;
+}
+
+// Tell the sender and/or recipient about a transfer event. Notifications are
+// best-effort: a failure here is logged and never undoes the money movement.
+async function notifyTransfer(event, transaction, { roles = ['sender', 'recipient'] } = {}) {
+    try {
+        const [sender, recipient] = await Promise.all([
+            User.findById(transaction.fromUserId),
+            User.findById(transaction.toUserId)
+        ]);
+        const vars = {
+            amount: formatCurrency(transaction.amount, transaction.currency),
+            senderName: sender ? sender.name : `account ${transaction.fromAccount}`,
+            recipientName: recipient ? recipient.name : `account ${transaction.toAccount}`
+        };
+
+        for (const [role, user] of [['sender', sender], ['recipient', recipient]]) {
+            if (!user || !roles.includes(role)) continue;
+            const content = TRANSFER_NOTIFICATION_TEMPLATES[event][role](vars);
+
+            await Notification.create({ userId: user._id, type: 'transfer', ...content });
+
+            if (user.emailNotifications) {
+                transporter.sendMail({
+                    from: `"Saxon Bank" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+                    to: user.email,
+                    subject: `Saxon Bank: ${content.title}`,
+                    html: transferEmailHtml(user, content, transaction, role)
+                }).catch(error => console.error(`Transfer ${event} email error for ${user.email}:`, error));
+            }
+        }
+    } catch (error) {
+        console.error(`Transfer ${event} notification error:`, error);
+    }
+}
+
+// ========== PAYEES ==========
+const MAX_PAYEE_NICKNAME_LENGTH = 40;
+const PENDING_PAYEE_TTL_MS = 10 * 60 * 1000;
+const PENDING_TRANSFER_TTL_MS = 10 * 60 * 1000;
+// Every lookup counts, not just misses, so the account book can't be scraped
+const PAYEE_LOOKUP_THROTTLE = {
+    maxAttempts: Number(process.env.PAYEE_LOOKUP_MAX_REQUESTS) || 20,
+    windowMs: 60 * 60 * 1000,
+    lockoutMs: 60 * 60 * 1000,
+    progressive: false
+};
+
+// "John Smith" → "J*** S****": enough to recognise, not enough to harvest
+function maskName(name) {
+    return String(name || '').trim().split(/\s+/)
+        .map(part => part.charAt(0).toUpperCase() + '*'.repeat(Math.max(part.length - 1, 2)))
+        .join(' ');
+}
+
+// A sender's first transfer to any account needs them to re-enter their password,
+// so a hijacked session can't quietly send money somewhere new.
+async function isFirstTransferTo(sender, recipient) {
+    const previous = await Transaction.exists({
+        userId: sender._id,
+        type: "transfer",
+        toUserId: recipient._id,
+        status: { $nin: ["failed", "rejected"] }
+    });
+    return !previous;
+}
+
+// Password check before a first transfer to a new recipient, throttled like
+// login. Returns an error message, or null once the password is right.
+async function checkTransferPassword(req, sender, details) {
+    const throttleKey = `transfer-confirm:${sender._id}`;
+    const throttle = await checkThrottle([throttleKey]);
+    if (!throttle.allowed) return throttleMessage(throttle);
+
+    if (!(await bcrypt.compare(req.body.password || '', sender.password))) {
+        const locked = await recordThrottleFailure(throttleKey, LOGIN_THROTTLE);
+        if (locked) {
+            await recordAudit('transfer_confirm_locked', { userId: sender._id, ip: req.ip, details });
+        }
+        return "Incorrect password";
+    }
+    await clearThrottle([throttleKey]);
+    return null;
+}
+
+async function recordPayeeTransfer(sender, accountNumber) {
+    const now = new Date();
+    await Payee.updateOne({ userId: sender._id, accountNumber, firstTransferAt: null }, { firstTransferAt: now });
+    await Payee.updateOne({ userId: sender._id, accountNumber }, { lastTransferAt: now });
+}
+
+// ========== BILL PAYMENTS ==========
+class BillPaymentError extends Error {}
+
+// Checks and ledger posting for a bill payment, shared by Bill Pay and autopay
+async function payBiller(user, biller, amount, { description, autopayId = null, work = null } = {}) {
+    amount = Number(amount);
+
+    if (!(amount > 0)) {
+        throw new BillPaymentError("Please enter a valid amount");
+    }
+
+    if (user.balance < amount) {
+        throw new BillPaymentError("Insufficient funds");
+    }
+
+    const limitError = await checkTransactionLimits(user, amount);
+    if (limitError) {
+        throw new BillPaymentError(limitError);
+    }
+
+    const reference = 'BILL-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
+
+    await postJournal({
+        description: `Bill payment to ${biller.name}`,
+        entries: [
+            ledgerLine('debit', user._id, amount),
+            ledgerLine('credit', LEDGER_ACCOUNTS.BILL_SETTLEMENT, amount)
+        ],
+        transactions: [{
+            userId: user._id,
+            type: "payment",
+            amount,
+            description: `Bill payment to ${biller.name}`,
+            billerId: biller._id,
+            status: "completed"
+        }]
+    }, async (session) => {
+        await BillPayment.create([{
+            userId: user._id,
+            billerId: biller._id,
+            amount,
+            reference: reference,
+            status: "completed",
+            processedDate: new Date(),
+            description: description || `Payment to ${biller.name}`,
+            autopayId
+        }], { session });
+        if (work) await work(session);
+    });
+
+    await Notification.create({
+        userId: user._id,
+        type: 'payment',
+        title: autopayId ? 'Autopay Payment Made' : 'Bill Payment Successful',
+        message: `Your ${autopayId ? 'autopay ' : ''}payment of ${formatCurrency(amount, user.currency)} to ${biller.name} was successful. Reference: ${reference}`
+    });
+
+    return { reference };
+}
+
+// ========== SCHEDULED TRANSFERS ==========
+const SCHEDULED_TRANSFER_LOCK_MS = 5 * 60 * 1000;
+
+// Date of occurrence n (0-based). Monthly orders keep the start day, clamped to
+// the end of shorter months, so a 31st order pays on the 30th in April.
+function scheduledOccurrenceDate(order, n) {
+    const start = order.startDate;
+    if (order.frequency === 'weekly') {
+        return new Date(start.getTime() + n * 7 * DAY_MS);
+    }
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + n;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay),
+        start.getUTCHours(), start.getUTCMinutes()));
+}
+
+// Next due date after `occurrences` have passed, or null once the order is finished
+function nextScheduledRun(order) {
+    if (order.frequency === 'once') {
+        return order.occurrences === 0 ? order.startDate : null;
+    }
+    if (order.maxPayments && order.occurrences >= order.maxPayments) return null;
+    const next = scheduledOccurrenceDate(order, order.occurrences);
+    if (order.endDate && next > order.endDate) return null;
+    return next;
+}
+
+// Skip occurrences that fell due while an order was paused
+function skipMissedOccurrences(order, now = new Date()) {
+    let next = nextScheduledRun(order);
+    while (next && next < now && order.frequency !== 'once') {
+        order.occurrences++;
+        next = nextScheduledRun(order);
+    }
+    order.nextRunAt = next;
+    if (!next) order.status = 'completed';
+}
+
+function describeSchedule(order) {
+    const date = d => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    if (order.frequency === 'once') return `Once on ${date(order.startDate)}`;
+    let text = order.frequency === 'weekly' ? 'Weekly' : 'Monthly';
+    text += ` from ${date(order.startDate)}`;
+    if (order.maxPayments) text += `, ${order.maxPayments} payments`;
+    if (order.endDate) text += `, until ${date(order.endDate)}`;
+    return text;
+}
+
+// Parse and validate the standing order form; returns { values } or { error }
+async function parseScheduledTransferForm(body, sender, existing = null) {
+    const amount = Number(body.amount);
+    if (!(amount > 0)) return { error: "Please enter a valid amount" };
+
+    const values = { amount, description: (body.description || '').trim() || null };
+
+    if (!existing) {
+        const toAccount = normalizeAccountNumber(body.toAccount);
+        if (!isValidAccountNumber(toAccount)) return { error: INVALID_ACCOUNT_NUMBER_MESSAGE };
+        const recipient = await User.findOne({ accountNumber: toAccount });
+        if (!recipient) return { error: "Recipient account not found" };
+        if (recipient._id.equals(sender._id)) return { error: "You can't set up a transfer to your own account" };
+
+        if (!['once', 'weekly', 'monthly'].includes(body.frequency)) return { error: "Choose how often to pay" };
+        const startDate = new Date(body.startDate);
+        if (isNaN(startDate)) return { error: "Choose a start date" };
+        if (startDate < new Date(Date.now() - DAY_MS)) return { error: "Start date can't be in the past" };
+
+        Object.assign(values, {
+            toAccount: recipient.accountNumber,
+            recipientName: recipient.name,
+            frequency: body.frequency,
+            startDate
+        });
+    }
+
+    const frequency = existing ? existing.frequency : values.frequency;
+    values.endDate = null;
+    values.maxPayments = null;
+    if (frequency !== 'once') {
+        if (body.endType === 'date') {
+            const endDate = new Date(body.endDate);
+            if (isNaN(endDate)) return { error: "Choose an end date" };
+            endDate.setUTCHours(23, 59, 59, 999);
+            if (endDate < (existing ? existing.startDate : values.startDate)) return { error: "End date must be after the start date" };
+            values.endDate = endDate;
+        } else if (body.endType === 'count') {
+            const maxPayments = parseInt(body.maxPayments);
+            if (!(maxPayments >= 1 && maxPayments <= 520)) return { error: "Number of payments must be between 1 and 520" };
+            if (existing && maxPayments < existing.occurrences) return { error: `This order has already reached ${existing.occurrences} payment date(s)` };
+            values.maxPayments = maxPayments;
+        }
+    }
+
+    return { values };
+}
+
+async function notifyScheduledTransfer(order, title, message) {
+    await Notification.create({ userId: order.userId, type: 'transfer', title, message });
+}
+
+// Run one due occurrence. A failed payment is skipped, not retried, so the
+// customer is never surprised by a late debit; the order moves on to its next date.
+async function runScheduledTransfer(order) {
+    const now = new Date();
+    const sender = await User.findById(order.userId);
+    let failure = null;
+    let sent = null;
+
+    if (!sender) {
+        order.status = 'cancelled';
+        order.lockedUntil = null;
+        return order.save();
+    }
+
+    // Move the order past this occurrence. Matching on the occurrence count
+    // means only one run can ever advance (and so pay) a given occurrence.
+    const advance = async (paid, session = null) => {
+        const update = {
+            occurrences: order.occurrences + 1,
+            paymentsMade: order.paymentsMade + (paid ? 1 : 0),
+            lastRunAt: now,
+            lastError: failure,
+            lockedUntil: null
+        };
+        update.nextRunAt = nextScheduledRun({ ...order.toObject(), ...update });
+        if (!update.nextRunAt) update.status = 'completed';
+        const result = await ScheduledTransfer.updateOne({ _id: order._id, occurrences: order.occurrences }, update, { session });
+        if (result.matchedCount === 0) throw new TransferError("This occurrence has already been processed");
+        return update;
+    };
+
+    let advanced = null;
+    try {
+        // The order update commits with the payment, so a crash can't leave
+        // this occurrence paid but still due
+        ({ transaction: sent } = await initiateTransfer(sender, {
+            toAccount: order.toAccount,
+            amount: order.amount,
+            description: order.description || `Standing order to ${order.recipientName || order.toAccount}`
+        }, {
+            notifySender: false,
+            work: async session => { advanced = await advance(true, session); }
+        }));
+    } catch (error) {
+        if (!(error instanceof TransferError || error instanceof LedgerError)) {
+            console.error(`Scheduled transfer ${order._id} error:`, error);
+        }
+        failure = error instanceof TransferError || error instanceof LedgerError ? error.message : "Transfer failed";
+        advanced = null;
+    }
+
+    if (!advanced) {
+        try {
+            advanced = await advance(false);
+        } catch (error) {
+            if (!(error instanceof TransferError)) throw error;
+            return; // another run already handled this occurrence
+        }
+    }
+    Object.assign(order, advanced);
+
+    const recipient = order.recipientName || order.toAccount;
+    const nextText = order.nextRunAt
+        ? ` Next payment: ${order.nextRunAt.toLocaleDateString('en-US', { timeZone: 'UTC' })}.`
+        : ' This standing order is now complete.';
+    if (failure) {
+        await notifyScheduledTransfer(order, 'Scheduled Transfer Failed',
+            `Your scheduled transfer of ${formatCurrency(order.amount, sender.currency)} to ${recipient} could not be sent: ${failure}.${nextText}`);
+    } else {
+        await notifyScheduledTransfer(order, 'Scheduled Transfer Sent',
+            `Your scheduled transfer of ${formatCurrency(order.amount, sender.currency)} to ${recipient} ${sent.status === 'completed' ? 'has been sent' : 'has been initiated and is pending review'}.${nextText}`);
+    }
+}
+
+// Claim due orders one at a time with a lock so runs don't overlap. If a lock
+// expires mid-run, the occurrence check in runScheduledTransfer still stops
+// the same occurrence being paid twice.
+let scheduledTransfersRunning = false;
+async function runScheduledTransfers() {
+    if (scheduledTransfersRunning) return;
+    scheduledTransfersRunning = true;
+    try {
+        for (;;) {
+            const now = new Date();
+            const order = await ScheduledTransfer.findOneAndUpdate(
+                {
+                    status: 'active',
+                    nextRunAt: { $lte: now },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+                },
+                { lockedUntil: new Date(now.getTime() + SCHEDULED_TRANSFER_LOCK_MS) },
+                { new: true, sort: { nextRunAt: 1 } }
+            );
+            if (!order) break;
+            await runScheduledTransfer(order);
+        }
+    } catch (error) {
+        console.error("Scheduled transfer job error:", error);
+    } finally {
+        scheduledTransfersRunning = false;
+    }
+}
+
+// ========== AUTOPAY ==========
+const AUTOPAY_LOCK_MS = 5 * 60 * 1000;
+const MAX_AUTOPAY_NOTICE_DAYS = 14;
+
+// Billers don't send us bill amounts, so a "max" mandate pays the most recent
+// amount billed (the last completed payment to that biller), capped at the maximum.
+async function autopayAmount(mandate, biller, currency) {
+    if (mandate.amountType === 'fixed') return { amount: mandate.amount };
+
+    const last = await BillPayment.findOne({ userId: mandate.userId, billerId: mandate.billerId, status: 'completed' })
+        .sort({ paymentDate: -1 });
+    if (!last) {
+        return { error: `there is no previous bill from ${biller.name} to base the payment on` };
+    }
+    if (last.amount > mandate.amount) {
+        return { error: `the bill of ${formatCurrency(last.amount, currency)} is over your autopay maximum of ${formatCurrency(mandate.amount, currency)}` };
+    }
+    return { amount: last.amount };
+}
+
+function describeAutopayAmount(mandate, currency) {
+    return mandate.amountType === 'fixed'
+        ? formatCurrency(mandate.amount, currency)
+        : `Bill amount, up to ${formatCurrency(mandate.amount, currency)}`;
+}
+
+// Validate the autopay form; returns { values } or { error }
+async function parseAutopayForm(body, existing = null) {
+    const amount = Number(body.amount);
+    if (!['fixed', 'max'].includes(body.amountType)) return { error: "Choose a fixed or maximum amount" };
+    if (!(amount > 0)) return { error: "Please enter a valid amount" };
+
+    const notifyDaysBefore = parseInt(body.notifyDaysBefore) || 0;
+    if (notifyDaysBefore < 0 || notifyDaysBefore > MAX_AUTOPAY_NOTICE_DAYS) {
+        return { error: `Reminders can be sent up to ${MAX_AUTOPAY_NOTICE_DAYS} days before` };
+    }
+
+    const values = { amountType: body.amountType, amount, notifyDaysBefore };
+    if (!existing) {
+        const biller = mongoose.Types.ObjectId.isValid(body.billerId) && await Biller.findOne({ _id: body.billerId, isActive: true });
+        if (!biller) return { error: "Biller not found" };
+        if (!['weekly', 'monthly'].includes(body.frequency)) return { error: "Choose how often to pay" };
+        const startDate = new Date(body.startDate);
+        if (isNaN(startDate)) return { error: "Choose a first payment date" };
+        if (startDate < new Date(Date.now() - DAY_MS)) return { error: "First payment date can't be in the past" };
+        Object.assign(values, { billerId: biller._id, frequency: body.frequency, startDate });
+    }
+    return { values };
+}
+
+async function runAutopayMandate(mandate) {
+    const [user, biller] = await Promise.all([User.findById(mandate.userId), Biller.findById(mandate.billerId)]);
+    if (!user) {
+        mandate.status = 'cancelled';
+        mandate.lockedUntil = null;
+        return mandate.save();
+    }
+
+    const now = new Date();
+    let failure = null;
+    let paid = null;
+
+    // Same occurrence guard as standing orders: only one run can advance (and
+    // so pay) a given occurrence
+    const advance = async (payment, session = null) => {
+        const update = {
+            occurrences: mandate.occurrences + 1,
+            paymentsMade: mandate.paymentsMade + (payment ? 1 : 0),
+            lastRunAt: now,
+            lastError: failure,
+            lockedUntil: null
+        };
+        update.nextRunAt = nextScheduledRun({ ...mandate.toObject(), ...update });
+        if (!update.nextRunAt) update.status = 'completed';
+        const result = await AutopayMandate.updateOne({ _id: mandate._id, occurrences: mandate.occurrences }, update, { session });
+        if (result.matchedCount === 0) throw new BillPaymentError("This occurrence has already been processed");
+        return update;
+    };
+
+    let advanced = null;
+    if (!biller || !biller.isActive) {
+        failure = "this biller is no longer available";
+    } else {
+        const { amount, error } = await autopayAmount(mandate, biller, user.currency);
+        if (error) {
+            failure = error;
+        } else {
+            try {
+                // The mandate update commits with the payment, so a crash can't
+                // leave this occurrence paid but still due
+                await payBiller(user, biller, amount, {
+                    description: `Autopay to ${biller.name}`,
+                    autopayId: mandate._id,
+                    work: async session => { advanced = await advance(true, session); }
+                });
+                paid = amount;
+            } catch (error) {
+                if (!(error instanceof BillPaymentError || error instanceof LedgerError)) {
+                    console.error(`Autopay ${mandate._id} error:`, error);
+                }
+                failure = error instanceof BillPaymentError || error instanceof LedgerError ? error.message : "payment failed";
+                advanced = null;
+            }
+        }
+    }
+
+    if (!advanced) {
+        try {
+            advanced = await advance(false);
+        } catch (error) {
+            if (!(error instanceof BillPaymentError)) throw error;
+            return; // another run already handled this occurrence
+        }
+    }
+    Object.assign(mandate, advanced);
+
+    // payBiller already notified about a successful payment
+    if (paid === null) {
+        const billerName = biller ? biller.name : 'your biller';
+        await Notification.create({
+            userId: mandate.userId,
+            type: 'payment',
+            title: 'Autopay Payment Skipped',
+            message: `We skipped this autopay payment to ${billerName} because ${failure.charAt(0).toLowerCase() + failure.slice(1)}.` +
+                (mandate.nextRunAt ? ` We'll try again on ${mandate.nextRunAt.toLocaleDateString('en-US', { timeZone: 'UTC' })}.` : '')
+        });
+    }
+}
+
+// "Notify N days before" reminders, once per due date
+async function sendAutopayReminders(now) {
+    const due = await AutopayMandate.find({
+        status: 'active',
+        notifyDaysBefore: { $gt: 0 },
+        nextRunAt: { $gt: now },
+        $expr: {
+            $and: [
+                { $lte: [{ $subtract: ['$nextRunAt', { $multiply: ['$notifyDaysBefore', DAY_MS] }] }, now] },
+                { $ne: ['$reminderSentFor', '$nextRunAt'] }
+            ]
+        }
+    }).populate('billerId');
+
+    for (const mandate of due) {
+        const claimed = await AutopayMandate.updateOne(
+            { _id: mandate._id, reminderSentFor: { $ne: mandate.nextRunAt } },
+            { reminderSentFor: mandate.nextRunAt }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const user = await User.findById(mandate.userId, 'currency');
+        if (!user) continue;
+        await Notification.create({
+            userId: mandate.userId,
+            type: 'payment',
+            title: 'Upcoming Autopay Payment',
+            message: `Autopay will pay ${mandate.billerId ? mandate.billerId.name : 'your biller'} ` +
+                `${mandate.amountType === 'fixed' ? formatCurrency(mandate.amount, user.currency) : `your bill (up to ${formatCurrency(mandate.amount, user.currency)})`} ` +
+                `on ${mandate.nextRunAt.toLocaleDateString('en-US', { timeZone: 'UTC' })}. Make sure you have enough funds available.`
+        });
+    }
+}
+
+let autopayRunning = false;
+async function runAutopay() {
+    if (autopayRunning) return;
+    autopayRunning = true;
+    try {
+        await sendAutopayReminders(new Date());
+        for (;;) {
+            const now = new Date();
+            const mandate = await AutopayMandate.findOneAndUpdate(
+                {
+                    status: 'active',
+                    nextRunAt: { $lte: now },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+                },
+                { lockedUntil: new Date(now.getTime() + AUTOPAY_LOCK_MS) },
+                { new: true, sort: { nextRunAt: 1 } }
+            );
+            if (!mandate) break;
+            await runAutopayMandate(mandate);
+        }
+    } catch (error) {
+        console.error("Autopay job error:", error);
+    } finally {
+        autopayRunning = false;
+    }
+}
+
+// ========== LOAN PRICING ==========
+// Rate = base rate for the loan type + risk adjustments. Every step is kept on
+// the quote so admins can see how a rate was reached before approving it.
+const LOAN_BASE_RATES = {
+    personal: Number(process.env.LOAN_BASE_RATE_PERSONAL) || 5.99,
+    car: Number(process.env.LOAN_BASE_RATE_CAR) || 4.99,
+    education: Number(process.env.LOAN_BASE_RATE_EDUCATION) || 3.99,
+    home: Number(process.env.LOAN_BASE_RATE_HOME) || 4.25,
+    business: Number(process.env.LOAN_BASE_RATE_BUSINESS) || 6.99,
+    construction: Number(process.env.LOAN_BASE_RATE_CONSTRUCTION) || 5.75
+};
+const LOAN_MIN_AMOUNT = 1000;
+const LOAN_MAX_AMOUNT = 100000;
+const LOAN_TERMS = [1, 2, 3, 5, 7, 10];
+const LOAN_MAX_PAYMENT_TO_INCOME = Number(process.env.LOAN_MAX_PAYMENT_TO_INCOME) || 0.4;
+const LOAN_INCOME_MONTHS = 6;
+
+// Adjustment tables: the first matching band applies
+const LOAN_TERM_ADJUSTMENTS = [
+    { maxYears: 3, rate: 0, label: 'Term up to 3 years' },
+    { maxYears: 5, rate: 0.5, label: 'Term of 4–5 years' },
+    { maxYears: Infinity, rate: 1.0, label: 'Term over 5 years' }
+];
+// Amount labels are built per quote so they show in the applicant's currency
+const LOAN_SMALL_AMOUNT = 5000;
+const LOAN_LARGE_AMOUNT = 50000;
+const LOAN_AMOUNT_ADJUSTMENTS = [
+    { maxAmount: LOAN_SMALL_AMOUNT - 1, rate: 0.75, label: money => `Small loan (under ${money(LOAN_SMALL_AMOUNT)})` },
+    { maxAmount: LOAN_LARGE_AMOUNT, rate: 0, label: money => `Loan of ${money(LOAN_SMALL_AMOUNT)}–${money(LOAN_LARGE_AMOUNT)}` },
+    { maxAmount: Infinity, rate: 0.5, label: money => `Large loan (over ${money(LOAN_LARGE_AMOUNT)})` }
+];
+const LOAN_ACCOUNT_AGE_ADJUSTMENTS = [
+    { maxDays: 89, rate: 1.5, label: 'Account open under 3 months' },
+    { maxDays: 364, rate: 0.5, label: 'Account open under a year' },
+    { maxDays: Infinity, rate: 0, label: 'Account open over a year' }
+];
+const LOAN_HISTORY_ADJUSTMENTS = [
+    { maxCount: 4, rate: 1.0, label: 'Little transaction history (under 5 in 12 months)' },
+    { maxCount: 19, rate: 0.5, label: 'Some transaction history (5–19 in 12 months)' },
+    { maxCount: Infinity, rate: 0, label: 'Established transaction history' }
+];
+const LOAN_UNVERIFIED_KYC_ADJUSTMENT = 2.0;
+
+function validateLoanRequest({ loanType, amount, term }, currency) {
+    if (!LOAN_BASE_RATES[loanType]) return 'Please choose a loan type';
+    if (!(amount >= LOAN_MIN_AMOUNT && amount <= LOAN_MAX_AMOUNT)) {
+        return `Loan amount must be between ${formatCurrency(LOAN_MIN_AMOUNT, currency)} and ${formatCurrency(LOAN_MAX_AMOUNT, currency)}`;
+    }
+    if (!LOAN_TERMS.includes(term)) return 'Please choose a loan term';
+    return null;
+}
+
+// Standard amortised monthly payment; annualRate is a percentage
+function amortizedPayment(principal, annualRate, months) {
+    const monthlyRate = annualRate / 100 / 12;
+    if (monthlyRate === 0) return principal / months;
+    return principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+}
+
+// Average monthly money in over the last few months, excluding loan
+// disbursements, refunds and currency conversions, which aren't income
+async function observedMonthlyIncome(user, now = new Date()) {
+    const since = new Date(now);
+    since.setUTCMonth(since.getUTCMonth() - LOAN_INCOME_MONTHS);
+
+    const [result] = await Transaction.aggregate([
+        {
+            $match: {
+                userId: user._id,
+                status: "completed",
+                date: { $gte: since },
+                kind: { $nin: NON_INCOME_KINDS },
+                $or: [
+                    { type: "deposit" },
+                    { type: "transfer", fromUserId: { $ne: user._id } }
+                ]
+            }
+        },
+        { $group: { _id: null, total: { $sum: "$amount" } } }
+    ]);
+
+    // Newer accounts are averaged over the months they've actually been open
+    const monthsOpen = Math.max(1, Math.min(LOAN_INCOME_MONTHS, Math.ceil((now - user.createdAt) / (30 * DAY_MS))));
+    return (result ? result.total : 0) / monthsOpen;
+}
+
+function bandFor(bands, key, value) {
+    return bands.find(band => value <= band[key]);
+}
+
+// Price a loan for a customer. Returns the quote with its derivation and an
+// affordability check against observed income and existing loan repayments.
+async function quoteLoan(user, { loanType, amount, term }, now = new Date()) {
+    const baseRate = LOAN_BASE_RATES[loanType];
+    const adjustments = [];
+
+    const termBand = bandFor(LOAN_TERM_ADJUSTMENTS, 'maxYears', term);
+    adjustments.push({ factor: 'term', label: termBand.label, rate: termBand.rate });
+
+    const amountBand = bandFor(LOAN_AMOUNT_ADJUSTMENTS, 'maxAmount', amount);
+    adjustments.push({ factor: 'amount', label: amountBand.label(currencyFormatter(user.currency)), rate: amountBand.rate });
+
+    adjustments.push(user.isVerified
+        ? { factor: 'kyc', label: 'KYC verified', rate: 0 }
+        : { factor: 'kyc', label: 'Not KYC verified', rate: LOAN_UNVERIFIED_KYC_ADJUSTMENT });
+
+    const accountAgeDays = Math.floor((now - user.createdAt) / DAY_MS);
+    const ageBand = bandFor(LOAN_ACCOUNT_AGE_ADJUSTMENTS, 'maxDays', accountAgeDays);
+    adjustments.push({ factor: 'accountAge', label: ageBand.label, rate: ageBand.rate });
+
+    const yearAgo = new Date(now.getTime() - 365 * DAY_MS);
+    const transactionCount = await Transaction.countDocuments({ userId: user._id, status: "completed", date: { $gte: yearAgo } });
+    const historyBand = bandFor(LOAN_HISTORY_ADJUSTMENTS, 'maxCount', transactionCount);
+    adjustments.push({ factor: 'history', label: historyBand.label, rate: historyBand.rate });
+
+    const rate = Math.round((baseRate + adjustments.reduce((sum, a) => sum + a.rate, 0)) * 100) / 100;
+    const months = term * 12;
+    const monthlyPayment = Math.round(amortizedPayment(amount, rate, months) * 100) / 100;
+
+    const monthlyIncome = Math.round(await observedMonthlyIncome(user, now) * 100) / 100;
+    const existingLoans = await Loan.find({ userId: user._id, status: "approved", repaymentStatus: { $ne: 'paid_off' } })
+        .select('monthlyPayment');
+    const existingPayments = existingLoans.reduce((sum, loan) => sum + (loan.monthlyPayment || 0), 0);
+    const paymentToIncome = monthlyIncome > 0 ? (monthlyPayment + existingPayments) / monthlyIncome : null;
+
+    return {
+        loanType,
+        amount,
+        term,
+        baseRate,
+        adjustments,
+        rate,
+        monthlyPayment,
+        totalRepayable: Math.round(monthlyPayment * months * 100) / 100,
+        affordability: {
+            monthlyIncome,
+            existingPayments: Math.round(existingPayments * 100) / 100,
+            paymentToIncome: paymentToIncome === null ? null : Math.round(paymentToIncome * 1000) / 1000,
+            maxPaymentToIncome: LOAN_MAX_PAYMENT_TO_INCOME,
+            affordable: paymentToIncome !== null && paymentToIncome <= LOAN_MAX_PAYMENT_TO_INCOME
+        },
+        quotedAt: now
+    };
+}
+
+// ========== LOAN APPLICATIONS ==========
+// Every application records employment, income and existing debts for the
+// reviewer. Secured loans also need collateral and supporting documents.
+const LOAN_SECURED_TYPES = ['home', 'car', 'construction', 'business'];
+const LOAN_DOCUMENT_TYPES = {
+    income: 'Proof of income',
+    collateral: 'Collateral documents',
+    business: 'Business financials',
+    other: 'Other supporting documents'
+};
+const LOAN_REQUIRED_DOCUMENTS = {
+    personal: [],
+    education: [],
+    car: ['income', 'collateral'],
+    home: ['income', 'collateral'],
+    construction: ['income', 'collateral'],
+    business: ['income', 'business']
+};
+const LOAN_EMPLOYMENT_STATUSES = {
+    employed: 'Employed',
+    self_employed: 'Self-employed',
+    retired: 'Retired',
+    student: 'Student',
+    unemployed: 'Not working'
+};
+const MAX_LOAN_TEXT_LENGTH = 500;
+
+// One form field per document type: incomeDocument, collateralDocument, ...
+const loanDocumentFields = loanUpload.fields(Object.keys(LOAN_DOCUMENT_TYPES)
+    .map(type => ({ name: `${type}Document`, maxCount: type === 'other' ? 3 : 1 })));
+
+// Multer rejects bad files by failing the request; send those back to the form instead
+function acceptLoanDocuments(redirectTo) {
+    return (req, res, next) => loanDocumentFields(req, res, error => {
+        if (!error) return next();
+        const message = error.code === 'LIMIT_FILE_SIZE' ? 'Each file must be 5MB or smaller' : error.message;
+        res.redirect(redirectTo + "?error=" + encodeURIComponent(message));
+    });
+}
+
+function uploadedLoanDocuments(files) {
+    return Object.entries(files || {}).flatMap(([field, list]) => list.map(file => ({
+        type: field.replace(/Document$/, ''),
+        filename: file.filename,
+        originalName: file.originalname,
+        mimetype: UPLOAD_CONTENT_TYPES[path.extname(file.filename).toLowerCase()],
+        size: file.size
+    })));
+}
+
+// Remove files from a request that was turned down
+function discardUploads(files) {
+    Object.values(files || {}).flat().forEach(file => {
+        fs.unlink(file.path, error => {
+            if (error) console.error("Upload cleanup error:", error);
+        });
+    });
+}
+
+async function requireLoanKyc(req, res, next) {
+    try {
+        const user = await User.findById(req.session.userId);
+        if (!user.isVerified) {
+            return res.redirect("/loans?error=" + encodeURIComponent("Please complete identity verification before applying for a loan"));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Validate the employment, debt and collateral steps; returns { values } or { error }
+function parseLoanApplication(body, loanType, documents) {
+    const text = field => (body[field] || '').trim().slice(0, MAX_LOAN_TEXT_LENGTH);
+    const number = field => body[field] === undefined || body[field] === '' ? null : Number(body[field]);
+
+    const employmentStatus = body.employmentStatus;
+    if (!LOAN_EMPLOYMENT_STATUSES[employmentStatus]) return { error: "Please choose your employment status" };
+    const working = ['employed', 'self_employed'].includes(employmentStatus);
+    const employer = working ? text('employer') : '';
+    if (working && !employer) {
+        return { error: employmentStatus === 'employed' ? "Please enter your employer" : "Please enter your business name" };
+    }
+    const yearsEmployed = working ? number('yearsEmployed') : null;
+    if (working && !(yearsEmployed >= 0)) return { error: "Please enter how long you've been in this job" };
+
+    const annualIncome = number('annualIncome');
+    if (!(annualIncome >= 0)) return { error: "Please enter your annual income" };
+    const monthlyDebtPayments = number('monthlyDebtPayments') || 0;
+    if (!(monthlyDebtPayments >= 0)) return { error: "Please enter a valid amount for your existing debt payments" };
+
+    const secured = LOAN_SECURED_TYPES.includes(loanType);
+    const collateralDescription = secured ? text('collateralDescription') : '';
+    const collateralValue = secured ? number('collateralValue') : null;
+    if (secured && !collateralDescription) return { error: "Please describe the collateral for this loan" };
+    if (secured && !(collateralValue > 0)) return { error: "Please enter the estimated value of the collateral" };
+
+    const missing = LOAN_REQUIRED_DOCUMENTS[loanType].filter(type => !documents.some(doc => doc.type === type));
+    if (missing.length) {
+        return { error: "Please upload: " + missing.map(type => LOAN_DOCUMENT_TYPES[type]).join(', ') };
+    }
+
+    return {
+        values: {
+            employmentStatus,
+            employer,
+            jobTitle: working ? text('jobTitle') : '',
+            yearsEmployed,
+            annualIncome,
+            monthlyDebtPayments,
+            debtDetails: text('debtDetails'),
+            collateralDescription,
+            collateralValue
+        }
+    };
+}
+
+// ========== LOAN SERVICING ==========
+// Approved loans carry their amortisation schedule. Money received settles the
+// oldest instalment first (late fee, then interest, then principal); anything
+// beyond what is due prepays principal, and the remaining instalments are
+// re-amortised over the same dates so the monthly payment drops.
+const LOAN_LATE_FEE = Number(process.env.LOAN_LATE_FEE) || 25;
+const LOAN_GRACE_DAYS = Number(process.env.LOAN_GRACE_DAYS) || 5;
+const LOAN_COLLECTION_LOCK_MS = 5 * 60 * 1000;
+const LOAN_COLLECTION_RETRY_MS = DAY_MS;
+
+class LoanRepaymentError extends Error {}
+
+function loanLabel(loan) {
+    return loan.loanType.charAt(0).toUpperCase() + loan.loanType.slice(1) + ' loan';
+}
+
+// Monthly due dates after `start`, keeping its day of the month like scheduled transfers
+function loanDueDates(start, count) {
+    return Array.from({ length: count }, (_, i) => scheduledOccurrenceDate({ startDate: start, frequency: 'monthly' }, i + 1));
+}
+
+// Level-payment schedule for `principal` over the given due dates. Worked in
+// cents; the last instalment absorbs rounding so the principal sums exactly.
+function buildAmortizationSchedule(principal, annualRate, dueDates, firstNumber = 1) {
+    const monthlyRate = annualRate / 100 / 12;
+    const payment = toCents(amortizedPayment(principal, annualRate, dueDates.length));
+    let balance = toCents(principal);
+    return dueDates.map((dueDate, i) => {
+        const interest = Math.round(balance * monthlyRate);
+        const principalPart = i === dueDates.length - 1 ? balance : Math.min(balance, payment - interest);
+        balance -= principalPart;
+        return {
+            number: firstNumber + i,
+            dueDate,
+            payment: (principalPart + interest) / 100,
+            principal: principalPart / 100,
+            interest: interest / 100,
+            balanceAfter: balance / 100
+        };
+    });
+}
+
+function startLoanSchedule(loan, start) {
+    loan.schedule = buildAmortizationSchedule(loan.amount, loan.interestRate, loanDueDates(start, loan.term * 12));
+    loan.outstandingPrincipal = loan.amount;
+    loan.repaymentStatus = 'current';
+    loan.nextCollectionAt = loan.schedule[0].dueDate;
+}
+
+// Cents still owed on an instalment, fee included
+function instalmentOwed(instalment) {
+    return toCents(instalment.principal) - toCents(instalment.principalPaid) +
+        toCents(instalment.interest) - toCents(instalment.interestPaid) +
+        toCents(instalment.lateFee) - toCents(instalment.lateFeePaid);
+}
+
+// Bring instalment statuses and the loan's totals up to date, charging a late
+// fee on each instalment that passes its grace period unpaid. Returns the
+// instalments newly charged a fee.
+function refreshLoanStatus(loan, now = new Date()) {
+    const charged = [];
+    let outstandingPrincipal = 0;
+    let amountDue = 0;
+    let arrears = 0;
+    let oldestDue = null;
+
+    for (const instalment of loan.schedule) {
+        outstandingPrincipal += toCents(instalment.principal) - toCents(instalment.principalPaid);
+        if (instalmentOwed(instalment) <= 0) {
+            if (instalment.status !== 'paid') {
+                instalment.status = 'paid';
+                instalment.paidAt = instalment.paidAt || now;
+            }
+            continue;
+        }
+        if (instalment.dueDate > now) {
+            instalment.status = 'upcoming';
+            continue;
+        }
+
+        if (now - instalment.dueDate >= LOAN_GRACE_DAYS * DAY_MS) {
+            if (!instalment.lateFee) {
+                instalment.lateFee = LOAN_LATE_FEE;
+                charged.push(instalment);
+            }
+            instalment.status = 'overdue';
+            arrears += instalmentOwed(instalment);
+        } else {
+            instalment.status = 'due';
+        }
+        amountDue += instalmentOwed(instalment);
+        oldestDue = oldestDue || instalment.dueDate;
+    }
+
+    loan.outstandingPrincipal = outstandingPrincipal / 100;
+    loan.amountDue = amountDue / 100;
+    loan.arrears = arrears / 100;
+    loan.daysPastDue = oldestDue ? Math.floor((now - oldestDue) / DAY_MS) : 0;
+
+    if (loan.schedule.every(instalment => instalment.status === 'paid')) {
+        loan.repaymentStatus = 'paid_off';
+        loan.paidOffAt = loan.paidOffAt || now;
+        loan.nextCollectionAt = null;
+    } else {
+        loan.repaymentStatus = arrears > 0 ? 'in_arrears' : 'current';
+        loan.nextCollectionAt = amountDue > 0
+            ? new Date(now.getTime() + LOAN_COLLECTION_RETRY_MS)
+            : loan.schedule.find(instalment => instalment.status === 'upcoming').dueDate;
+    }
+    return charged;
+}
+
+// What it takes to close the loan today: everything due plus the principal
+// still to come. Interest on future instalments hasn't accrued, so isn't owed.
+function loanPayoffAmount(loan, now = new Date()) {
+    const cents = loan.schedule.reduce((sum, instalment) => sum + (instalment.dueDate <= now
+        ? instalmentOwed(instalment)
+        : toCents(instalment.principal) - toCents(instalment.principalPaid)), 0);
+    return cents / 100;
+}
+
+// Apply `amount` to the schedule. Returns how it split, in dollars.
+function applyLoanPayment(loan, amount, now = new Date()) {
+    let remaining = toCents(amount);
+    const split = { fees: 0, interest: 0, principal: 0 };
+    const take = (instalment, field, paidField, key) => {
+        const part = Math.min(remaining, toCents(instalment[field]) - toCents(instalment[paidField]));
+        if (part <= 0) return;
+        instalment[paidField] = (toCents(instalment[paidField]) + part) / 100;
+        split[key] += part;
+        remaining -= part;
+    };
+
+    const due = loan.schedule.filter(instalment => instalment.dueDate <= now && instalmentOwed(instalment) > 0);
+    for (const instalment of due) {
+        take(instalment, 'lateFee', 'lateFeePaid', 'fees');
+        take(instalment, 'interest', 'interestPaid', 'interest');
+        take(instalment, 'principal', 'principalPaid', 'principal');
+        if (instalmentOwed(instalment) === 0) instalment.paidAt = now;
+    }
+
+    const future = loan.schedule.filter(instalment => instalment.dueDate > now && instalmentOwed(instalment) > 0);
+    if (remaining > 0 && future.length) {
+        const futurePrincipal = future.reduce((sum, instalment) => sum + toCents(instalment.principal), 0);
+        const prepaid = Math.min(remaining, futurePrincipal);
+        split.principal += prepaid;
+        remaining -= prepaid;
+
+        if (prepaid === futurePrincipal) {
+            // Paid off early: the future instalments close with no interest
+            future.forEach(instalment => {
+                instalment.principalPaid = instalment.principal;
+                instalment.interest = 0;
+                instalment.payment = instalment.principal;
+                instalment.paidAt = now;
+            });
+        } else {
+            const rebuilt = buildAmortizationSchedule((futurePrincipal - prepaid) / 100, loan.interestRate,
+                future.map(instalment => instalment.dueDate), future[0].number);
+            loan.schedule = loan.schedule.filter(instalment => !future.includes(instalment)).concat(rebuilt);
+            loan.monthlyPayment = rebuilt[0].payment;
+        }
+    }
+    if (remaining > 0) {
+        throw new LoanRepaymentError("Payment is more than the loan balance");
+    }
+
+    loan.feesPaid = (toCents(loan.feesPaid) + split.fees) / 100;
+    loan.interestPaid = (toCents(loan.interestPaid) + split.interest) / 100;
+    loan.principalPaid = (toCents(loan.principalPaid) + split.principal) / 100;
+    return { fees: split.fees / 100, interest: split.interest / 100, principal: split.principal / 100 };
+}
+
+// Take `amount` from the borrower and apply it to the loan in one journal.
+// The loan is saved with the journal, so callers release their lock first.
+async function postLoanRepayment(loan, user, amount, { description, createdBy = null, now = new Date() }) {
+    const split = applyLoanPayment(loan, amount, now);
+    refreshLoanStatus(loan, now);
+
+    const entries = [ledgerLine('debit', user._id, amount)];
+    if (split.principal > 0) entries.push(ledgerLine('credit', LEDGER_ACCOUNTS.LOANS_RECEIVABLE, split.principal));
+    if (split.interest > 0) entries.push(ledgerLine('credit', LEDGER_ACCOUNTS.LOAN_INTEREST, split.interest));
+    if (split.fees > 0) entries.push(ledgerLine('credit', LEDGER_ACCOUNTS.LOAN_FEES, split.fees));
+
+    await postJournal({
+        description,
+        entries,
+        transactions: [{
+            userId: user._id,
+            type: "payment",
+            amount,
+            description,
+            loanId: loan._id,
+            category: 'Loan',
+            categorySource: 'default',
+            status: "completed"
+        }],
+        createdBy
+    }, async (session) => {
+        await loan.save({ session });
+    });
+    return split;
+}
+
+async function notifyLoanPaidOff(loan, currency) {
+    await Notification.create({
+        userId: loan.userId,
+        type: 'loan',
+        title: 'Loan Paid Off',
+        message: `Your ${loanLabel(loan).toLowerCase()} of ${formatCurrency(loan.amount, currency)} is fully repaid. Thank you!`
+    });
+}
+
+// One collection attempt: charge any late fees, then debit whatever is due,
+// or as much of it as the balance covers. Shortfalls are retried daily.
+async function collectLoan(loan) {
+    const now = new Date();
+    const user = await User.findById(loan.userId);
+    const charged = refreshLoanStatus(loan, now);
+    loan.lockedUntil = null;
+    loan.lastCollectionAt = now;
+
+    const collect = user ? Math.min(toCents(loan.amountDue), Math.max(0, toCents(user.balance))) / 100 : 0;
+    let collected = 0;
+    if (collect > 0) {
+        try {
+            await postLoanRepayment(loan, user, collect, { description: `${loanLabel(loan)} repayment`, now });
+            collected = collect;
+        } catch (error) {
+            if (!(error instanceof LedgerError)) console.error(`Loan collection ${loan._id} error:`, error);
+            await Loan.updateOne({ _id: loan._id }, {
+                lockedUntil: null,
+                nextCollectionAt: new Date(now.getTime() + LOAN_COLLECTION_RETRY_MS)
+            });
+            return;
+        }
+    }
+
+    const oldestDue = loan.schedule.find(instalment => ['due', 'overdue'].includes(instalment.status));
+    const notifyShortfall = oldestDue && loan.shortfallNoticeFor !== oldestDue.number;
+    if (notifyShortfall) loan.shortfallNoticeFor = oldestDue.number;
+    if (!collected || notifyShortfall) await loan.save();
+
+    const label = loanLabel(loan).toLowerCase();
+    const money = currencyFormatter(user ? user.currency : 'USD');
+    if (collected) {
+        await Notification.create({
+            userId: loan.userId,
+            type: 'loan',
+            title: 'Loan Repayment Collected',
+            message: `We collected ${money(collected)} for your ${label}.` +
+                (loan.nextCollectionAt && !loan.amountDue
+                    ? ` Your next payment is due on ${loan.nextCollectionAt.toLocaleDateString('en-US', { timeZone: 'UTC' })}.`
+                    : '')
+        });
+        if (loan.repaymentStatus === 'paid_off') await notifyLoanPaidOff(loan, user.currency);
+    }
+    if (notifyShortfall) {
+        await Notification.create({
+            userId: loan.userId,
+            type: 'loan',
+            title: 'Loan Payment Missed',
+            message: `We couldn't collect the full ${money(loan.amountDue)} due on your ${label}. ` +
+                `Please add funds; we'll try again daily. Instalments unpaid ${LOAN_GRACE_DAYS} days after their due date are charged a ${money(LOAN_LATE_FEE)} late fee.`
+        });
+    }
+    for (const instalment of charged) {
+        await Notification.create({
+            userId: loan.userId,
+            type: 'loan',
+            title: 'Loan Late Fee Charged',
+            message: `Instalment ${instalment.number} of your ${label} is more than ${LOAN_GRACE_DAYS} days overdue, so a ${money(LOAN_LATE_FEE)} late fee has been added.`
+        });
+    }
+}
+
+// Loans approved before servicing existed get a schedule starting now, so
+// their first instalment falls due a month from today rather than in arrears.
+async function scheduleExistingLoans(now) {
+    const loans = await Loan.find({ status: 'approved', schedule: { $exists: false } });
+    for (const loan of loans) {
+        startLoanSchedule(loan, now);
+        await loan.save();
+    }
+}
+
+let loanCollectionsRunning = false;
+async function runLoanCollections() {
+    if (loanCollectionsRunning) return;
+    loanCollectionsRunning = true;
+    try {
+        await scheduleExistingLoans(new Date());
+        for (;;) {
+            const now = new Date();
+            const loan = await Loan.findOneAndUpdate(
+                {
+                    status: 'approved',
+                    repaymentStatus: { $in: ['current', 'in_arrears'] },
+                    nextCollectionAt: { $lte: now },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+                },
+                { lockedUntil: new Date(now.getTime() + LOAN_COLLECTION_LOCK_MS) },
+                { new: true, sort: { nextCollectionAt: 1 } }
+            );
+            if (!loan) break;
+            await collectLoan(loan);
+        }
+    } catch (error) {
+        console.error("Loan collection job error:", error);
+    } finally {
+        loanCollectionsRunning = false;
+    }
+}
+
+// ========== FOREIGN EXCHANGE ==========
+// Mid-market rates are units per US dollar, so cross rates go through USD.
+// Customers convert at the mid rate less FX_SPREAD_PERCENT, and a quote holds
+// that rate for FX_QUOTE_TTL_MS so what they confirm is what they get.
+const FX_RATES_PER_USD = {
+    USD: 1,
+    EUR: Number(process.env.FX_RATE_EUR) || 0.92,
+    GBP: Number(process.env.FX_RATE_GBP) || 0.79,
+    JPY: Number(process.env.FX_RATE_JPY) || 151.23,
+    CAD: Number(process.env.FX_RATE_CAD) || 1.35,
+    AUD: Number(process.env.FX_RATE_AUD) || 1.52
+};
+const FX_SPREAD_PERCENT = Number(process.env.FX_SPREAD_PERCENT) || 0.5;
+const FX_QUOTE_TTL_MS = Number(process.env.FX_QUOTE_TTL_MS) || 60 * 1000;
+
+class ConversionError extends Error {}
+
+function fxMidRate(from, to) {
+    return FX_RATES_PER_USD[to] / FX_RATES_PER_USD[from];
+}
+
+function fxCustomerRate(from, to) {
+    return Number((fxMidRate(from, to) * (1 - FX_SPREAD_PERCENT / 100)).toPrecision(6));
+}
+
+// Round down to the currency's smallest unit so we never credit more than the rate gives
+function floorToCurrency(amount, currency) {
+    const factor = Math.pow(10, CURRENCIES[currency].decimals);
+    return Math.floor(Math.round(amount * factor * 1e6) / 1e6) / factor;
+}
+
+// What the customer holds in `currency`: their main balance or that wallet
+function balanceIn(user, currency) {
+    if (currency === user.currency) return user.balance;
+    const wallet = user.wallets.find(w => w.currency === currency);
+    return wallet ? wallet.balance : 0;
+}
+
+// Validate a conversion and hold its rate; returns the saved FxQuote
+async function quoteConversion(user, { fromCurrency, toCurrency, amount }) {
+    amount = Number(amount);
+    if (!CURRENCIES[fromCurrency] || !CURRENCIES[toCurrency]) {
+        throw new ConversionError("Please choose currencies to convert between");
+    }
+    if (fromCurrency === toCurrency) {
+        throw new ConversionError("Choose two different currencies");
+    }
+    if (!(amount > 0) || floorToCurrency(amount, fromCurrency) !== amount) {
+        throw new ConversionError(`Please enter a valid ${fromCurrency} amount`);
+    }
+    if (balanceIn(user, fromCurrency) < amount) {
+        throw new ConversionError(`You don't have enough ${fromCurrency} for this conversion`);
+    }
+
+    const rate = fxCustomerRate(fromCurrency, toCurrency);
+    const convertedAmount = floorToCurrency(amount * rate, toCurrency);
+    if (!(convertedAmount > 0)) {
+        throw new ConversionError("That amount is too small to convert");
+    }
+
+    return FxQuote.create({
+        userId: user._id,
+        fromCurrency,
+        toCurrency,
+        amount,
+        midRate: fxMidRate(fromCurrency, toCurrency),
+        spreadPercent: FX_SPREAD_PERCENT,
+        rate,
+        convertedAmount,
+        expiresAt: new Date(Date.now() + FX_QUOTE_TTL_MS)
+    });
+}
+
+// Move the money at the quoted rate. The spread stays on the FX conversion account.
+async function executeConversion(user, quoteId) {
+    const now = new Date();
+    const quote = mongoose.Types.ObjectId.isValid(quoteId) && await FxQuote.findOneAndUpdate(
+        { _id: quoteId, userId: user._id, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+    );
+    if (!quote) {
+        throw new ConversionError("This quote has expired. Please get a new quote.");
+    }
+
+    const { fromCurrency, toCurrency, amount, convertedAmount } = quote;
+    if (toCurrency !== user.currency) {
+        await User.updateOne(
+            { _id: user._id, 'wallets.currency': { $ne: toCurrency } },
+            { $push: { wallets: { currency: toCurrency } } }
+        );
+    }
+
+    const description = `Currency conversion ${fromCurrency} to ${toCurrency} at ${quote.rate}`;
+    const conversion = { userId: user._id, kind: "conversion", categorySource: 'default', category: 'Transfers', status: "completed" };
+    try {
+        await postJournal({
+            description,
+            entries: [
+                currencyLine('debit', user, fromCurrency, amount),
+                ledgerLine('credit', LEDGER_ACCOUNTS.FX_CONVERSION, amount, fromCurrency),
+                ledgerLine('debit', LEDGER_ACCOUNTS.FX_CONVERSION, convertedAmount, toCurrency),
+                currencyLine('credit', user, toCurrency, convertedAmount)
+            ],
+            transactions: [
+                { ...conversion, type: "withdrawal", amount, currency: fromCurrency, description: `Converted to ${toCurrency}` },
+                { ...conversion, type: "deposit", amount: convertedAmount, currency: toCurrency, description: `Converted from ${fromCurrency}` }
+            ],
+            createdBy: user._id
+        });
+    } catch (error) {
+        // Nothing moved, so the customer can still use the quote
+        await FxQuote.updateOne({ _id: quote._id }, { usedAt: null });
+        throw error;
+    }
+    return quote;
+}
+
+// ========== IDEMPOTENCY ==========
+// Forms carry a hidden idempotencyKey minted when the page renders; JSON clients
+// send an Idempotency-Key header. A double-submit or refresh with the same key
+// gets the first response back instead of moving money again.
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+const IDEMPOTENCY_WAIT_MS = 5000;
+const IDEMPOTENCY_POLL_MS = 250;
+
+function newIdempotencyKey() {
+    return crypto.randomUUID();
+}
+
+// Same key with a different amount or payee is a client bug, not a retry.
+// Only the fields that define the operation are hashed, never secrets like a
+// password, since the hash is stored.
+function idempotencyRequestHash(body, fields) {
+    const values = fields.map(name => [name, body ? body[name] : undefined]);
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+function sendIdempotencyError(req, res, statusCode, message, redirectTo) {
+    if (req.is('json') || !req.accepts('html')) {
+        return res.status(statusCode).json({ error: message });
+    }
+    res.redirect(redirectTo + "?error=" + encodeURIComponent(message));
+}
+
+// A double-click sends the duplicate while the first request is still running;
+// give the first one a moment to finish so the browser lands on its outcome.
+async function waitForIdempotentResponse(userId, key) {
+    const deadline = Date.now() + IDEMPOTENCY_WAIT_MS;
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, IDEMPOTENCY_POLL_MS));
+        const existing = await IdempotencyKey.findOne({ userId, key });
+        if (!existing || existing.status === 'completed') return existing;
+    }
+    return null;
+}
+
+function replayIdempotentResponse(res, response) {
+    res.set('Idempotent-Replayed', 'true');
+    if (response.location) {
+        return res.redirect(response.statusCode || 302, response.location);
+    }
+    res.status(response.statusCode || 200).json(response.body);
+}
+
+// The key was already claimed: replay its outcome, or explain why we can't
+async function replayIdempotentRequest(req, res, { userId, key, route, requestHash, redirectTo }) {
+    let existing = await IdempotencyKey.findOne({ userId, key });
+    if (!existing) {
+        return sendIdempotencyError(req, res, 409, "Please try again", redirectTo);
+    }
+    if (existing.route !== route || existing.requestHash !== requestHash) {
+        return sendIdempotencyError(req, res, 422, "This form was already submitted with different details. Please reload the page and try again.", redirectTo);
+    }
+    if (existing.status !== 'completed') {
+        existing = await waitForIdempotentResponse(userId, key);
+    }
+    if (!existing || existing.status !== 'completed') {
+        return sendIdempotencyError(req, res, 409, "Your previous request is still being processed. Please check your transactions before trying again.", redirectTo);
+    }
+    replayIdempotentResponse(res, existing.response);
+}
+
+// Middleware for money-moving routes. Requests without a key run as before;
+// a key that's claimed but not yet answered is reported as still in progress.
+// `fields` are the body fields that make two requests the same operation.
+function idempotent(redirectTo, fields = []) {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key') || (req.body && req.body.idempotencyKey);
+        if (!key) return next();
+        if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+            return sendIdempotencyError(req, res, 400, "Invalid idempotency key", redirectTo);
+        }
+
+        const userId = req.session.userId;
+        const route = req.path;
+        const requestHash = idempotencyRequestHash(req.body, fields);
+
+        try {
+            await IdempotencyKey.create({
+                userId,
+                key,
+                route,
+                requestHash,
+                expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_MS)
+            });
+        } catch (error) {
+            if (error.code !== 11000) return next(error);
+            return replayIdempotentRequest(req, res, { userId, key, route, requestHash, redirectTo }).catch(next);
+        }
+
+        let recorded = false;
+        const record = (response) => {
+            recorded = true;
+            IdempotencyKey.updateOne({ userId, key }, { status: 'completed', response })
+                .catch(err => console.error("Idempotency record error:", err));
+        };
+
+        const redirect = res.redirect.bind(res);
+        res.redirect = (statusOrUrl, url) => {
+            const statusCode = url === undefined ? 302 : statusOrUrl;
+            const location = url === undefined ? statusOrUrl : url;
+            record({ statusCode, location });
+            return redirect(statusCode, location);
+        };
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            record({ statusCode: res.statusCode, body });
+            return json(body);
+        };
+
+        // Anything else (a crash, a rendered page) frees the key so the client can retry
+        res.on('finish', () => {
+            if (!recorded) {
+                IdempotencyKey.deleteOne({ userId, key, status: 'processing' })
+                    .catch(err => console.error("Idempotency release error:", err));
+            }
+        });
+
+        next();
+    };
+}
+
+// ========== ROUTES ==========
+// Home page (landing)
+app.get("/", (req, res) => {
+    if (req.session.userId) {
+        return res.redirect("/dashboard");
+    }
+    res.render("index", {
+        title: "Saxon Bank – Modern Banking for Everyone"
+    });
+});
+
+// Login Page
+app.get("/login", (req, res) => {
+    if (req.session.userId) return res.redirect("/dashboard");
+    res.render("login", {
+        title: "Login | Saxon Bank",
+        error: req.query.error || null,
+        success: req.query.success || null,
+    });
+});
+
+// Login POST
+app.post("/login", async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const throttle = await checkThrottle(loginThrottleKeys(req, email));
+        if (!throttle.allowed) {
+            return res.render("login", {
+                title: "Login | Saxon Bank",
+                error: throttleMessage(throttle),
+            });
+        }
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            await registerLoginFailure(req, email, null);
+            return res.render("login", {
+                title: "Login | Saxon Bank",
+                error: "Invalid email or password",
+            });
+        }
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            await registerLoginFailure(req, email, user);
+            return res.render("login", {
+                title: "Login | Saxon Bank",
+                error: "Invalid email or password",
+            });
+        }
+
+        // Password is correct; 2FA users still need a code before the session is theirs
+        if (user.twoFactorEnabled) {
+            req.session.twoFactorPending = {
+                userId: String(user._id),
+                expiresAt: Date.now() + TWO_FACTOR_LOGIN_WINDOW,
+                attempts: 0
+            };
+            return res.redirect("/login/2fa");
+        }
+
+        await completeLogin(req, user);
+        res.redirect("/dashboard");
+    } catch (error) {
+        console.error(error);
+        res.render("login", {
+            title: "Login | Saxon Bank",
+            error: "Something went wrong. Please try again.",
+        });
+    }
+});
+
+// Login step 2: authenticator or recovery code
+app.get("/login/2fa", (req, res) => {
+    const pending = req.session.twoFactorPending;
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.twoFactorPending;
+        return res.redirect("/login?error=Please sign in again");
+    }
+    res.render("login-2fa", {
+        title: "Two-Factor Authentication | Saxon Bank",
+        error: req.query.error || null
+    });
+});
+
+app.post("/login/2fa", async (req, res) => {
+    try {
+        const pending = req.session.twoFactorPending;
+        if (!pending || pending.expiresAt < Date.now()) {
+            delete req.session.twoFactorPending;
+            return res.redirect("/login?error=Your sign-in attempt expired. Please sign in again");
+        }
+
+        const user = await User.findById(pending.userId);
+        if (!user || !user.twoFactorEnabled) {
+            delete req.session.twoFactorPending;
+            return res.redirect("/login?error=Please sign in again");
+        }
+
+        const throttle = await checkThrottle(loginThrottleKeys(req, user.email));
+        if (!throttle.allowed) {
+            delete req.session.twoFactorPending;
+            return res.redirect("/login?error=" + encodeURIComponent(throttleMessage(throttle)));
+        }
+
+        const { code, recoveryCode } = req.body;
+        let verified = false;
+
+        if (recoveryCode) {
+            verified = await consumeRecoveryCode(user, recoveryCode);
+        } else {
+            const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastStep);
+            if (step !== null) {
+                user.twoFactorLastStep = step;
+                verified = true;
+            }
+        }
+
+        if (!verified) {
+            await registerLoginFailure(req, user.email, user);
+            pending.attempts += 1;
+            if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                delete req.session.twoFactorPending;
+                return res.redirect("/login?error=Too many invalid codes. Please sign in again");
+            }
+            return res.render("login-2fa", {
+                title: "Two-Factor Authentication | Saxon Bank",
+                error: "Invalid verification code"
+            });
+        }
+
+        delete req.session.twoFactorPending;
+        await completeLogin(req, user);
+
+        if (recoveryCode) {
+            const notification = new Notification({
+                userId: user._id,
+                type: 'security',
+                title: 'Recovery Code Used',
+                message: `A recovery code was used to sign in. You have ${user.twoFactorRecoveryCodes.length} recovery codes left.`
+            });
+            await notification.save();
+        }
+
+        res.redirect("/dashboard");
+    } catch (error) {
+        console.error("2FA login error:", error);
+        res.redirect("/login?error=Something went wrong. Please try again.");
+    }
+});
+
+// Register Page
+app.get("/register", (req, res) => {
+    res.render("register", {
+        title: "Register | Saxon Bank",
+        error: req.query.error || null,
+        success: req.query.success || null,
+    });
+});
+
+// Register POST (updated with referral code)
+app.post("/register", async (req, res) => {
+    try {
+        const {
+            email, password, confirmPassword,
+            name, dateOfBirth, gender, country,
+            usStreet, usApt, usCity, usState, usZip,
+            ukStreet, ukApt, ukCity, ukCounty, ukPostcode,
+            ssn, referralCode, accountCurrency
+        } = req.body;
+
+        if (password !== confirmPassword) {
+            return res.render("register", {
+                title: "Register | Saxon Bank",
+                error: "Passwords do not match",
+                success: null
+            });
+        }
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.render("register", {
+                title: "Register | Saxon Bank",
+                error: "Email already registered",
+                success: null
+            });
+        }
+
+        const birthDate = new Date(dateOfBirth);
+        const today = new Date();
+        let age = today.getFullYear() - birthDate.getFullYear();
+        const m = today.getMonth() - birthDate.getMonth();
+        if (m < 0 || (m === 0 && today.getDate() < birthDate.getDate())) age--;
+        if (age < 18) {
+            return res.render("register", {
+                title: "Register | Saxon Bank",
+                error: "You must be at least 18 years old",
+                success: null
+            });
+        }
+
+        // Every supported country needs a currency list, so it doubles as the allow-list
+        if (typeof country !== 'string' || !Object.hasOwn(ACCOUNT_CURRENCIES, country)) {
+            return res.render("register", {
+                title: "Register | Saxon Bank",
+                error: "Registration is only available to residents of the United States or United Kingdom",
+                success: null
+            });
+        }
+
+        let addressLine1, addressLine2, city, state, zipCode;
+        if (country === 'United States') {
+            addressLine1 = usStreet;
+            addressLine2 = usApt || '';
+            city = usCity;
+            state = usState;
+            zipCode = usZip;
+        } else {
+            addressLine1 = ukStreet;
+            addressLine2 = ukApt || '';
+            city = ukCity;
+            state = ukCounty || '';
+            zipCode = ukPostcode;
+        }
+
+        if (!addressLine1 || !city || !zipCode) {
+            return res.render("register", {
+                title: "Register | Saxon Bank",
+                error: "Please fill in all required address fields",
+                success: null
+            });
+        }
+
+        const currencies = ACCOUNT_CURRENCIES[country];
+        const currency = accountCurrency || currencies[0];
+        if (!currencies.includes(currency)) {
+            return res.render("register", {
+                title: "Register | Saxon Bank",
+                error: `Accounts for ${country} residents can be opened in ${currencies.join(' or ')}`,
+                success: null
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const accountNumber = await nextAccountNumber();
+        const userReferralCode = generateReferralCode(name);
+
+        const userData = {
+            name,
+            email,
             password: hashedPassword,
             accountNumber,
+            currency,
             dateOfBirth: new Date(dateOfBirth),
             gender,
             country,
@@ -501,6 +4340,30 @@ app.post("/register", async (req, res) => {
 });
 
 // ========== PASSWORD RESET ROUTES ==========
+// Issue a fresh one-hour reset token and email the link; `reason` opens the message
+async function sendPasswordResetEmail(user, reason) {
+    const resetToken = Math.random().toString(36).slice(-8);
+    user.resetToken = resetToken;
+    user.resetTokenExpiry = Date.now() + 3600000;
+    await user.save();
+
+    const resetLink = `${APP_URL}/reset-password?token=${resetToken}&email=${encodeURIComponent(user.email)}`;
+
+    await transporter.sendMail({
+        from: `"Saxon Bank" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+        to: user.email,
+        subject: 'Password Reset Request',
+        html: `
+            <h2>Reset Your Password</h2>
+            <p>${reason} Click the link below to set a new password. This link expires in 1 hour.</p>
+            <p><a href="${resetLink}">${resetLink}</a></p>
+            <p>If you didn't request this, please ignore this email.</p>
+            <br>
+            <p>– Saxon Bank Team</p>
+        `
+    });
+}
+
 app.get("/forgot-password", (req, res) => {
     res.render("forgot-password", {
         title: "Forgot Password | Saxon Bank",
@@ -512,34 +4375,38 @@ app.get("/forgot-password", (req, res) => {
 app.post("/forgot-password", async (req, res) => {
     try {
         const { email } = req.body;
-        const user = await User.findOne({ email });
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+        const resetKeys = [`reset:account:${normalizedEmail}`, `reset:ip:${req.ip}`];
 
-        if (!user) {
+        // Rate-limited requests get the same answer but no email, so inboxes can't be flooded
+        const throttle = await checkThrottle(resetKeys);
+        if (!throttle.allowed) {
             return res.redirect("/forgot-password?success=If that email exists, we'll send reset instructions");
         }
 
-        const resetToken = Math.random().toString(36).slice(-8);
-        const expiry = Date.now() + 3600000;
+        const user = await User.findOne({ email });
 
-        user.resetToken = resetToken;
-        user.resetTokenExpiry = expiry;
-        await user.save();
+        const accountLocked = await recordThrottleFailure(resetKeys[0], RESET_THROTTLE);
+        const ipLocked = await recordThrottleFailure(resetKeys[1], RESET_IP_THROTTLE);
+        if (accountLocked) {
+            await recordAudit('password_reset_locked', {
+                userId: user ? user._id : null,
+                ip: req.ip,
+                details: `Password reset requests locked for ${normalizedEmail} after ${RESET_THROTTLE.maxAttempts} requests`
+            });
+        }
+        if (ipLocked) {
+            await recordAudit('password_reset_ip_locked', {
+                ip: req.ip,
+                details: `Password reset requests locked for IP ${req.ip} after ${RESET_IP_THROTTLE.maxAttempts} requests`
+            });
+        }
 
-        const resetLink = `http://localhost:3000/reset-password?token=${resetToken}&email=${encodeURIComponent(email)}`;
+        if (!user) {
+            return res.redirect("/forgot-password?success=If that email exists, we'll send reset instructions");
+        }
 
-        await transporter.sendMail({
-            from: `"Saxon Bank" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
-            to: email,
-            subject: 'Password Reset Request',
-            html: `
-                <h2>Reset Your Password</h2>
-                <p>You requested a password reset. Click the link below to set a new password. This link expires in 1 hour.</p>
-                <p><a href="${resetLink}">${resetLink}</a></p>
-                <p>If you didn't request this, please ignore this email.</p>
-                <br>
-                <p>– Saxon Bank Team</p>
-            `
-        });
+        await sendPasswordResetEmail(user, 'You requested a password reset.');
 
         console.log(`🔐 Password reset email sent to: ${email}`);
         res.redirect("/forgot-password?success=Reset instructions sent to your email");
@@ -594,6 +4461,9 @@ app.post("/reset-password", async (req, res) => {
         user.resetTokenExpiry = null;
         await user.save();
 
+        // A new password signs the account out everywhere
+        await revokeUserSessions({ userId: user._id });
+
         res.render("reset-password", {
             title: "Reset Password | Saxon Bank",
             token: null,
@@ -608,6 +4478,60 @@ app.post("/reset-password", async (req, res) => {
     }
 });
 
+// "This wasn't me" link from a login alert: kill that session and start a password reset
+// The alert link only shows what's being reported; link scanners and previews
+// fetch it too, so nothing changes until the customer confirms with a POST
+app.get("/security/not-me", async (req, res) => {
+    try {
+        const { token } = req.query;
+        const userSession = typeof token === 'string' && token ? await UserSession.findOne({ alertToken: token }) : null;
+        if (!userSession) {
+            return res.redirect("/forgot-password?error=This link is invalid or has expired. Request a password reset instead.");
+        }
+
+        res.render("security-not-me", {
+            title: "Report a Sign-in | Saxon Bank",
+            token,
+            userSession
+        });
+    } catch (error) {
+        console.error("Not-me page error:", error);
+        res.redirect("/forgot-password?error=Something went wrong. Please reset your password.");
+    }
+});
+
+app.post("/security/not-me", async (req, res) => {
+    try {
+        const { token } = req.body;
+        const userSession = typeof token === 'string' && token ? await UserSession.findOne({ alertToken: token }) : null;
+        if (!userSession) {
+            return res.redirect("/forgot-password?error=This link is invalid or has expired. Request a password reset instead.");
+        }
+
+        const user = await User.findById(userSession.userId);
+        await revokeUserSessions({ _id: userSession._id });
+        userSession.alertToken = null;
+        await userSession.save();
+
+        // The reset link goes to the account's inbox, never into this response
+        await sendPasswordResetEmail(user, `You reported a sign-in from ${userSession.device} (${userSession.ip}) that wasn't you, and we signed that session out.`);
+
+        const notification = new Notification({
+            userId: user._id,
+            type: 'security',
+            title: 'Suspicious Sign-in Reported',
+            message: `You reported a sign-in from ${userSession.device} (${userSession.ip}). That session was signed out. We've emailed you a link to choose a new password.`
+        });
+        await notification.save();
+
+        console.log(`🚨 Suspicious sign-in reported by: ${user.email}`);
+        res.redirect("/forgot-password?success=" + encodeURIComponent("That session has been signed out. Check your email for a link to choose a new password."));
+    } catch (error) {
+        console.error("Not-me report error:", error);
+        res.redirect("/forgot-password?error=Something went wrong. Please reset your password.");
+    }
+});
+
 // ========== PROFILE & SETTINGS ROUTES ==========
 app.get("/profile", requireAuth, async (req, res) => {
     try {
@@ -633,109 +4557,567 @@ app.post("/profile/update", requireAuth, async (req, res) => {
             address,
             dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : null
         });
-        res.redirect("/profile?success=Profile updated successfully");
+        res.redirect("/profile?success=Profile updated successfully");
+    } catch (error) {
+        console.error("Profile update error:", error);
+        res.redirect("/profile?error=Failed to update profile");
+    }
+});
+
+app.get("/settings", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        res.render("settings", {
+            title: "Settings | Saxon Bank",
+            user,
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Settings error:", error);
+        res.redirect("/dashboard");
+    }
+});
+
+app.post("/settings/update", requireAuth, async (req, res) => {
+    try {
+        const { emailNotifications, smsNotifications, pushNotifications, loginAlerts } = req.body;
+        await User.findByIdAndUpdate(req.session.userId, {
+            emailNotifications: emailNotifications === 'on',
+            smsNotifications: smsNotifications === 'on',
+            pushNotifications: pushNotifications === 'on',
+            loginAlerts: loginAlerts === 'on'
+        });
+        res.redirect("/settings?success=Settings updated successfully");
+    } catch (error) {
+        console.error("Settings update error:", error);
+        res.redirect("/settings?error=Failed to update settings");
+    }
+});
+
+// ========== TWO-FACTOR SETTINGS ==========
+function renderTwoFactor(res, user, extra = {}) {
+    res.render("two-factor", {
+        title: "Two-Factor Authentication | Saxon Bank",
+        user,
+        secret: null,
+        otpauthUri: null,
+        qrCode: null,
+        recoveryCodes: null,
+        success: null,
+        error: null,
+        ...extra
+    });
+}
+
+app.get("/settings/2fa", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        if (user.twoFactorEnabled) {
+            return renderTwoFactor(res, user, {
+                success: req.query.success || null,
+                error: req.query.error || null
+            });
+        }
+
+        // The secret stays in the session until the first code confirms it
+        if (!req.session.twoFactorSetupSecret) {
+            req.session.twoFactorSetupSecret = generateTwoFactorSecret();
+        }
+        const secret = req.session.twoFactorSetupSecret;
+        const otpauthUri = buildOtpauthUri(secret, user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUri);
+
+        renderTwoFactor(res, user, {
+            secret,
+            otpauthUri,
+            qrCode,
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("2FA settings error:", error);
+        res.redirect("/settings?error=Failed to load two-factor settings");
+    }
+});
+
+app.post("/settings/2fa/enable", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const secret = req.session.twoFactorSetupSecret;
+
+        if (user.twoFactorEnabled) {
+            return res.redirect("/settings/2fa?error=Two-factor authentication is already enabled");
+        }
+        if (!secret) {
+            return res.redirect("/settings/2fa?error=Setup expired. Please scan the new code");
+        }
+
+        const step = verifyTotp(secret, req.body.code);
+        if (step === null) {
+            return res.redirect("/settings/2fa?error=Invalid code. Check your authenticator app and try again");
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = secret;
+        user.twoFactorLastStep = step;
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+        delete req.session.twoFactorSetupSecret;
+
+        const notification = new Notification({
+            userId: user._id,
+            type: 'security',
+            title: 'Two-Factor Authentication Enabled',
+            message: 'Two-factor authentication is now required when you sign in.'
+        });
+        await notification.save();
+
+        renderTwoFactor(res, user, {
+            recoveryCodes: codes,
+            success: "Two-factor authentication enabled. Save your recovery codes now."
+        });
+    } catch (error) {
+        console.error("2FA enable error:", error);
+        res.redirect("/settings/2fa?error=Failed to enable two-factor authentication");
+    }
+});
+
+app.post("/settings/2fa/recovery-codes", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        if (!user.twoFactorEnabled) {
+            return res.redirect("/settings/2fa?error=Two-factor authentication is not enabled");
+        }
+
+        const validPassword = await bcrypt.compare(req.body.password || '', user.password);
+        if (!validPassword) {
+            return res.redirect("/settings/2fa?error=Incorrect password");
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+
+        renderTwoFactor(res, user, {
+            recoveryCodes: codes,
+            success: "New recovery codes generated. Your old codes no longer work."
+        });
+    } catch (error) {
+        console.error("2FA recovery codes error:", error);
+        res.redirect("/settings/2fa?error=Failed to generate recovery codes");
+    }
+});
+
+app.post("/settings/2fa/disable", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const validPassword = await bcrypt.compare(req.body.password || '', user.password);
+        if (!validPassword) {
+            return res.redirect("/settings/2fa?error=Incorrect password");
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = null;
+        user.twoFactorLastStep = null;
+        user.twoFactorRecoveryCodes = [];
+        await user.save();
+
+        const notification = new Notification({
+            userId: user._id,
+            type: 'security',
+            title: 'Two-Factor Authentication Disabled',
+            message: 'Two-factor authentication was turned off for your account. If this wasn\'t you, reset your password immediately.'
+        });
+        await notification.save();
+
+        res.redirect("/settings?success=Two-factor authentication disabled");
+    } catch (error) {
+        console.error("2FA disable error:", error);
+        res.redirect("/settings/2fa?error=Failed to disable two-factor authentication");
+    }
+});
+
+// Dark Mode API
+app.post("/api/user/darkmode", requireAuth, async (req, res) => {
+    try {
+        const { darkMode } = req.body;
+        await User.findByIdAndUpdate(req.session.userId, { darkMode });
+        res.json({ success: true });
+    } catch (error) {
+        res.json({ success: false });
+    }
+});
+
+// ========== SESSION MANAGEMENT ==========
+app.get("/settings/sessions", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const sessions = await UserSession.find({
+            userId: user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastSeenAt: -1 });
+
+        res.render("sessions", {
+            title: "Active Sessions | Saxon Bank",
+            user,
+            sessions,
+            currentSessionId: req.sessionID,
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Sessions page error:", error);
+        res.redirect("/settings?error=Failed to load sessions");
+    }
+});
+
+app.post("/settings/sessions/:id/revoke", requireAuth, async (req, res) => {
+    try {
+        const userSession = await UserSession.findOne({
+            _id: req.params.id,
+            userId: req.session.userId,
+            revokedAt: null
+        });
+        if (!userSession) {
+            return res.redirect("/settings/sessions?error=Session not found");
+        }
+
+        await revokeUserSessions({ _id: userSession._id });
+
+        if (userSession.sessionId === req.sessionID) {
+            req.session.destroy();
+            return res.redirect("/login?success=You have been signed out");
+        }
+        res.redirect("/settings/sessions?success=Device signed out");
+    } catch (error) {
+        console.error("Session revoke error:", error);
+        res.redirect("/settings/sessions?error=Failed to sign out device");
+    }
+});
+
+app.post("/settings/sessions/revoke-all", requireAuth, async (req, res) => {
+    try {
+        await revokeUserSessions({ userId: req.session.userId });
+        req.session.destroy();
+        res.redirect("/login?success=You have been signed out on all devices");
+    } catch (error) {
+        console.error("Session revoke-all error:", error);
+        res.redirect("/settings/sessions?error=Failed to sign out all devices");
+    }
+});
+
+app.get("/privacy", requireAuth, async (req, res) => {
+    res.render("privacy", {
+        title: "Privacy & Security | Saxon Bank",
+        success: req.query.success || null,
+        error: req.query.error || null
+    });
+});
+
+app.get("/notifications", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const notifications = await Notification.find({ userId: user._id }).sort({ createdAt: -1 });
+        res.render("notifications", {
+            title: "Notifications | Saxon Bank",
+            user,
+            notifications,
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Notifications error:", error);
+        res.redirect("/dashboard");
+    }
+});
+
+app.get("/limits", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const limitUsage = await getLimitUsage(user);
+        const limitRequest = await LimitIncreaseRequest.findOne({ userId: user._id }).sort({ submittedAt: -1 });
+        res.render("limits", {
+            title: "Transaction Limits | Saxon Bank",
+            user,
+            currencySymbol: CURRENCIES[user.currency].symbol,
+            limitUsage,
+            limitRequest,
+            tiers: LIMIT_TIERS,
+            currentTier: LIMIT_TIERS[user.limitTier] || LIMIT_TIERS.standard,
+            perTransaction: perTransactionLimit(user),
+            formatCurrency: currencyFormatter(user.currency),
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Limits error:", error);
+        res.redirect("/dashboard");
+    }
+});
+
+app.post("/limits/request", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const dailyLimit = Number(req.body.dailyLimit);
+        const weeklyLimit = Number(req.body.weeklyLimit);
+        const monthlyLimit = Number(req.body.monthlyLimit);
+        const justification = (req.body.justification || '').trim();
+
+        if (!user.isVerified) {
+            return res.redirect("/limits?error=Please complete identity verification before requesting higher limits");
+        }
+
+        const existingRequest = await LimitIncreaseRequest.findOne({ userId: user._id, status: "pending" });
+        if (existingRequest) {
+            return res.redirect("/limits?error=You already have a pending limit request");
+        }
+
+        if (![dailyLimit, weeklyLimit, monthlyLimit].every(v => v > 0)) {
+            return res.redirect("/limits?error=Please enter valid amounts for all limits");
+        }
+        if (dailyLimit > weeklyLimit || weeklyLimit > monthlyLimit) {
+            return res.redirect("/limits?error=Daily limit cannot exceed weekly, and weekly cannot exceed monthly");
+        }
+        if (dailyLimit <= user.dailyLimit && weeklyLimit <= user.weeklyLimit && monthlyLimit <= user.monthlyLimit) {
+            return res.redirect("/limits?error=Requested limits must be higher than your current limits");
+        }
+        if (justification.length < 20) {
+            return res.redirect("/limits?error=Please tell us why you need higher limits (at least 20 characters)");
+        }
+
+        const limitRequest = new LimitIncreaseRequest({
+            userId: user._id,
+            currentDailyLimit: user.dailyLimit,
+            currentWeeklyLimit: user.weeklyLimit,
+            currentMonthlyLimit: user.monthlyLimit,
+            requestedDailyLimit: dailyLimit,
+            requestedWeeklyLimit: weeklyLimit,
+            requestedMonthlyLimit: monthlyLimit,
+            justification
+        });
+        await limitRequest.save();
+
+        const notification = new Notification({
+            userId: user._id,
+            type: 'limits',
+            title: 'Limit Increase Requested',
+            message: `Your request to raise your daily limit to ${formatCurrency(dailyLimit, user.currency)} has been submitted for review.`
+        });
+        await notification.save();
+
+        res.redirect("/limits?success=Your limit increase request has been submitted for review");
+    } catch (error) {
+        console.error("Limit request error:", error);
+        res.redirect("/limits?error=Failed to submit limit request");
+    }
+});
+
+app.get("/api/limits", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        res.json({
+            tier: user.limitTier,
+            perTransaction: perTransactionLimit(user),
+            windows: await getLimitUsage(user)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ========== STATEMENT ROUTES ==========
+app.get("/statement", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const period = resolveStatementPeriod(req.query);
+        if (!period) {
+            return res.redirect("/statements?error=Invalid statement period");
+        }
+        const statement = await buildStatement(user, period.from, period.to);
+        res.render("statement", {
+            title: "Account Statement | Saxon Bank",
+            user,
+            statement,
+            query: new URLSearchParams({ from: formatStatementDate(period.from), to: formatStatementDate(period.to) }).toString(),
+            formatStatementDate,
+            formatCurrency: currencyFormatter(user.currency)
+        });
     } catch (error) {
-        console.error("Profile update error:", error);
-        res.redirect("/profile?error=Failed to update profile");
+        console.error("Statement error:", error);
+        res.redirect("/dashboard");
     }
 });
 
-app.get("/settings", requireAuth, async (req, res) => {
+app.get("/statements", requireAuth, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId);
-        res.render("settings", {
-            title: "Settings | Saxon Bank",
+        const statements = await Statement.find({ userId: user._id }).sort({ periodStart: -1 });
+        res.render("statements", {
+            title: "Account Statements | Saxon Bank",
             user,
+            statements,
+            formatCurrency: currencyFormatter(user.currency),
             success: req.query.success || null,
             error: req.query.error || null
         });
     } catch (error) {
-        console.error("Settings error:", error);
+        console.error("Statements error:", error);
         res.redirect("/dashboard");
     }
 });
 
-app.post("/settings/update", requireAuth, async (req, res) => {
+app.get("/api/statement/download", requireAuth, async (req, res) => {
     try {
-        const { emailNotifications, smsNotifications, pushNotifications, loginAlerts } = req.body;
-        await User.findByIdAndUpdate(req.session.userId, {
-            emailNotifications: emailNotifications === 'on',
-            smsNotifications: smsNotifications === 'on',
-            pushNotifications: pushNotifications === 'on',
-            loginAlerts: loginAlerts === 'on'
-        });
-        res.redirect("/settings?success=Settings updated successfully");
+        const user = await User.findById(req.session.userId);
+        const format = req.query.format === 'pdf' ? 'pdf' : 'csv';
+        const period = resolveStatementPeriod(req.query);
+        if (!period) {
+            return res.redirect("/statements?error=Invalid statement period");
+        }
+        const statement = await buildStatement(user, period.from, period.to);
+        sendStatement(res, user, statement, format);
     } catch (error) {
-        console.error("Settings update error:", error);
-        res.redirect("/settings?error=Failed to update settings");
+        console.error("Statement download error:", error);
+        res.redirect("/statements?error=Failed to generate statement");
     }
 });
 
-// Dark Mode API
-app.post("/api/user/darkmode", requireAuth, async (req, res) => {
+app.get("/api/statement/export-all", requireAuth, async (req, res) => {
     try {
-        const { darkMode } = req.body;
-        await User.findByIdAndUpdate(req.session.userId, { darkMode });
-        res.json({ success: true });
+        const user = await User.findById(req.session.userId);
+        const format = req.query.format === 'pdf' ? 'pdf' : 'csv';
+        const first = await Transaction.findOne({ userId: user._id }).sort({ date: 1 });
+        const from = first && first.date < user.createdAt ? first.date : user.createdAt;
+        const statement = await buildStatement(user, from, new Date());
+        sendStatement(res, user, statement, format);
     } catch (error) {
-        res.json({ success: false });
+        console.error("Statement export error:", error);
+        res.redirect("/statements?error=Failed to export transactions");
     }
 });
 
-app.get("/privacy", requireAuth, async (req, res) => {
-    res.render("privacy", {
-        title: "Privacy & Security | Saxon Bank",
-        success: req.query.success || null,
-        error: req.query.error || null
-    });
-});
-
-app.get("/notifications", requireAuth, async (req, res) => {
+// ========== CATEGORY RULE ROUTES ==========
+app.get("/categories", requireAuth, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId);
-        const notifications = await Notification.find({ userId: user._id }).sort({ createdAt: -1 });
-        res.render("notifications", {
-            title: "Notifications | Saxon Bank",
+        const rules = await CategoryRule.find({ userId: user._id }).sort({ createdAt: -1 });
+        res.render("categories", {
+            title: "Spending Categories | Saxon Bank",
             user,
-            notifications,
+            rules,
+            categories: await categoryOptions(user._id),
             success: req.query.success || null,
             error: req.query.error || null
         });
     } catch (error) {
-        console.error("Notifications error:", error);
-        res.redirect("/dashboard");
+        console.error("Categories page error:", error);
+        res.status(500).send("Server error");
     }
 });
 
-app.get("/limits", requireAuth, async (req, res) => {
+app.post("/categories/rules", requireAuth, async (req, res) => {
+    try {
+        const match = String(req.body.match || '').trim();
+        const category = normalizeCategory(req.body.category);
+        if (!match || match.length > 100) {
+            return res.redirect("/categories?error=Enter the text to match (up to 100 characters)");
+        }
+        if (!category) {
+            return res.redirect(`/categories?error=Category must be 1-${MAX_CATEGORY_LENGTH} characters`);
+        }
+
+        const rule = await CategoryRule.findOneAndUpdate(
+            { userId: req.session.userId, match },
+            { category },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+        const updated = await applyCategoryRule(rule);
+
+        res.redirect(`/categories?success=${encodeURIComponent(`Rule saved. ${updated} existing transaction(s) re-tagged as ${category}.`)}`);
+    } catch (error) {
+        console.error("Category rule error:", error);
+        res.redirect("/categories?error=Failed to save rule");
+    }
+});
+
+app.post("/categories/rules/:id/delete", requireAuth, async (req, res) => {
+    try {
+        await CategoryRule.deleteOne({ _id: req.params.id, userId: req.session.userId });
+        res.redirect("/categories?success=Rule deleted. Existing tags were kept.");
+    } catch (error) {
+        console.error("Category rule delete error:", error);
+        res.redirect("/categories?error=Failed to delete rule");
+    }
+});
+
+// ========== BUDGET ROUTES ==========
+app.get("/budgets", requireAuth, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId);
-        res.render("limits", {
-            title: "Transaction Limits | Saxon Bank",
+        const budgets = await Budget.find({ userId: user._id }).sort({ category: 1 });
+        const spend = await monthlyCategorySpend(user._id);
+
+        // Categories with spend this month but no budget, as suggestions
+        const unbudgeted = [...spend.entries()]
+            .filter(([category]) => !budgets.some(b => b.category === category))
+            .map(([category, amount]) => ({ category, amount }))
+            .sort((a, b) => b.amount - a.amount);
+
+        res.render("budgets", {
+            title: "Budgets | Saxon Bank",
             user,
+            currencySymbol: CURRENCIES[user.currency].symbol,
+            budgets: budgets.map(b => budgetProgress(b, spend)),
+            unbudgeted,
+            categories: await categoryOptions(user._id),
+            monthName: new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+            formatCurrency: currencyFormatter(user.currency),
             success: req.query.success || null,
             error: req.query.error || null
         });
     } catch (error) {
-        console.error("Limits error:", error);
-        res.redirect("/dashboard");
+        console.error("Budgets page error:", error);
+        res.status(500).send("Server error");
     }
 });
 
-// ========== STATEMENT ROUTE ==========
-app.get("/statement", requireAuth, async (req, res) => {
+// Create or update the budget for a category
+app.post("/budgets", requireAuth, async (req, res) => {
     try {
-        const user = await User.findById(req.session.userId);
-        const transactions = await Transaction.find({ userId: user._id }).sort({ date: -1 });
-        res.render("statement", {
-            title: "Account Statement | Saxon Bank",
-            user,
-            transactions,
-            formatCurrency
-        });
+        const category = normalizeCategory(req.body.category);
+        const amount = Number(req.body.amount);
+        const { currency } = await User.findById(req.session.userId, 'currency');
+        if (!category) {
+            return res.redirect(`/budgets?error=Category must be 1-${MAX_CATEGORY_LENGTH} characters`);
+        }
+        if (!(amount >= 1)) {
+            return res.redirect("/budgets?error=" + encodeURIComponent(`Budget must be at least ${formatCurrency(1, currency)}`));
+        }
+
+        // Changing the amount re-arms this month's alerts against the new figure
+        await Budget.findOneAndUpdate(
+            { userId: req.session.userId, category },
+            { amount, emailAlerts: req.body.emailAlerts === 'on', alertMonth: null, alertLevel: 0 },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+
+        res.redirect(`/budgets?success=${encodeURIComponent(`${category} budget set to ${formatCurrency(amount, currency)} a month`)}`);
     } catch (error) {
-        console.error("Statement error:", error);
-        res.redirect("/dashboard");
+        console.error("Budget save error:", error);
+        res.redirect("/budgets?error=Failed to save budget");
+    }
+});
+
+app.post("/budgets/:id/delete", requireAuth, async (req, res) => {
+    try {
+        await Budget.deleteOne({ _id: req.params.id, userId: req.session.userId });
+        res.redirect("/budgets?success=Budget removed");
+    } catch (error) {
+        console.error("Budget delete error:", error);
+        res.redirect("/budgets?error=Failed to remove budget");
     }
 });
 
@@ -743,14 +5125,17 @@ app.get("/statement", requireAuth, async (req, res) => {
 app.get("/insights", requireAuth, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId);
-        const transactions = await Transaction.find({ userId: user._id }).sort({ date: -1 });
+        const transactions = await Transaction.find({
+            userId: user._id,
+            kind: { $ne: 'conversion' },
+            ...accountCurrencyFilter(user)
+        }).sort({ date: -1 });
         
         // Calculate spending by category
         const categories = {};
         transactions.forEach(t => {
             if (t.type !== 'deposit') {
-                const cat = t.type === 'payment' ? 'Bill Payments' : 
-                           t.type === 'transfer' ? 'Transfers' : 'Other';
+                const cat = transactionCategory(t);
                 categories[cat] = (categories[cat] || 0) + t.amount;
             }
         });
@@ -763,7 +5148,7 @@ app.get("/insights", requireAuth, async (req, res) => {
             transactions,
             categories,
             totalSpent,
-            formatCurrency
+            formatCurrency: currencyFormatter(user.currency)
         });
     } catch (error) {
         console.error("Insights error:", error);
@@ -774,25 +5159,15 @@ app.get("/insights", requireAuth, async (req, res) => {
 // API for insights data
 app.get("/api/spending", requireAuth, async (req, res) => {
     try {
-        const user = await User.findById(req.session.userId);
-        const transactions = await Transaction.find({ userId: user._id }).sort({ date: -1 });
-        
-        const summary = {
-            totalSpent: transactions.filter(t => t.type !== 'deposit').reduce((sum, t) => sum + t.amount, 0),
-            avgPerDay: 0,
-            topCategory: 'N/A',
-            savingsRate: 0
-        };
-
-        const chart = {
-            labels: [],
-            values: []
-        };
-
-        const monthly = [];
+        const period = req.query.period || 'month';
+        if (!SPENDING_PERIODS.includes(period)) {
+            return res.status(400).json({ error: 'Period must be one of: ' + SPENDING_PERIODS.join(', ') });
+        }
 
-        res.json({ summary, chart, monthly });
+        const user = await User.findById(req.session.userId);
+        res.json(await buildSpendingInsights(user, period));
     } catch (error) {
+        console.error("Spending API error:", error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -810,9 +5185,10 @@ app.get("/billers", requireAuth, async (req, res) => {
         res.render("billers", {
             title: "Bill Payment | Saxon Bank",
             user,
+            idempotencyKey: newIdempotencyKey(),
             billers,
             payments,
-            formatCurrency,
+            formatCurrency: currencyFormatter(user.currency),
             success: req.query.success || null,
             error: req.query.error || null
         });
@@ -822,7 +5198,7 @@ app.get("/billers", requireAuth, async (req, res) => {
     }
 });
 
-app.post("/billers/pay", requireAuth, async (req, res) => {
+app.post("/billers/pay", requireAuth, idempotent("/billers", ["billerId", "amount", "description"]), async (req, res) => {
     try {
         const { billerId, amount, description } = req.body;
         const user = await User.findById(req.session.userId);
@@ -831,47 +5207,14 @@ app.post("/billers/pay", requireAuth, async (req, res) => {
         if (!biller) {
             return res.redirect("/billers?error=Biller not found");
         }
-        
-        if (user.balance < Number(amount)) {
-            return res.redirect("/billers?error=Insufficient funds");
-        }
-        
-        const reference = 'BILL-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
-        
-        user.balance -= Number(amount);
-        await user.save();
-        
-        const payment = new BillPayment({
-            userId: user._id,
-            billerId: biller._id,
-            amount: Number(amount),
-            reference: reference,
-            status: "completed",
-            processedDate: new Date(),
-            description: description || `Payment to ${biller.name}`
-        });
-        await payment.save();
-        
-        const transaction = new Transaction({
-            userId: user._id,
-            type: "payment",
-            amount: Number(amount),
-            description: `Bill payment to ${biller.name}`,
-            status: "completed"
-        });
-        await transaction.save();
 
-        // Create notification
-        const notification = new Notification({
-            userId: user._id,
-            type: 'payment',
-            title: 'Bill Payment Successful',
-            message: `Your payment of ${formatCurrency(amount)} to ${biller.name} was successful. Reference: ${reference}`
-        });
-        await notification.save();
+        await payBiller(user, biller, amount, { description });
         
-        res.redirect(`/billers?success=Payment of ${formatCurrency(amount)} to ${biller.name} completed successfully.`);
+        res.redirect(`/billers?success=Payment of ${formatCurrency(amount, user.currency)} to ${biller.name} completed successfully.`);
     } catch (error) {
+        if (error instanceof BillPaymentError) {
+            return res.redirect("/billers?error=" + encodeURIComponent(error.message));
+        }
         console.error("Payment error:", error);
         res.redirect("/billers?error=Payment failed: " + error.message);
     }
@@ -888,7 +5231,7 @@ app.get("/billers/history", requireAuth, async (req, res) => {
             title: "Payment History | Saxon Bank",
             user,
             payments,
-            formatCurrency,
+            formatCurrency: currencyFormatter(user.currency),
             success: req.query.success || null,
             error: req.query.error || null
         });
@@ -898,6 +5241,149 @@ app.get("/billers/history", requireAuth, async (req, res) => {
     }
 });
 
+// ========== AUTOPAY ROUTES ==========
+async function renderAutopay(req, res, editing = null) {
+    const user = await User.findById(req.session.userId);
+    const [billers, mandates] = await Promise.all([
+        Biller.find({ isActive: true }).sort({ category: 1, name: 1 }),
+        AutopayMandate.find({ userId: user._id }).populate('billerId').sort({ status: 1, nextRunAt: 1 })
+    ]);
+    res.render("autopay", {
+        title: "Autopay | Saxon Bank",
+        user,
+        billers,
+        mandates,
+        editing,
+        selectedBillerId: req.query.billerId || null,
+        describeSchedule,
+        describeAutopayAmount,
+        formatCurrency: currencyFormatter(user.currency),
+        formatStatementDate,
+        maxNoticeDays: MAX_AUTOPAY_NOTICE_DAYS,
+        success: req.query.success || null,
+        error: req.query.error || null
+    });
+}
+
+app.get("/billers/autopay", requireAuth, async (req, res) => {
+    try {
+        await renderAutopay(req, res);
+    } catch (error) {
+        console.error("Autopay page error:", error);
+        res.redirect("/billers?error=Could not load autopay");
+    }
+});
+
+app.get("/billers/autopay/:id/edit", requireAuth, async (req, res) => {
+    try {
+        const mandate = await AutopayMandate.findOne({ _id: req.params.id, userId: req.session.userId }).populate('billerId');
+        if (!mandate || ['completed', 'cancelled'].includes(mandate.status)) {
+            return res.redirect("/billers/autopay?error=That autopay can no longer be edited");
+        }
+        await renderAutopay(req, res, mandate);
+    } catch (error) {
+        console.error("Autopay edit page error:", error);
+        res.redirect("/billers/autopay?error=Autopay not found");
+    }
+});
+
+app.post("/billers/autopay", requireAuth, async (req, res) => {
+    try {
+        const { values, error } = await parseAutopayForm(req.body);
+        if (error) {
+            return res.redirect("/billers/autopay?error=" + encodeURIComponent(error));
+        }
+
+        const existing = await AutopayMandate.findOne({
+            userId: req.session.userId,
+            billerId: values.billerId,
+            status: { $in: ['active', 'paused'] }
+        });
+        if (existing) {
+            return res.redirect("/billers/autopay?error=You already have autopay set up for this biller. Edit it instead.");
+        }
+
+        const mandate = new AutopayMandate({ userId: req.session.userId, ...values });
+        mandate.nextRunAt = nextScheduledRun(mandate);
+        await mandate.save();
+
+        res.redirect("/billers/autopay?success=" + encodeURIComponent(`Autopay set up: ${describeSchedule(mandate)}`));
+    } catch (error) {
+        console.error("Autopay create error:", error);
+        res.redirect("/billers/autopay?error=Failed to set up autopay");
+    }
+});
+
+app.post("/billers/autopay/:id", requireAuth, async (req, res) => {
+    try {
+        const mandate = await AutopayMandate.findOne({ _id: req.params.id, userId: req.session.userId });
+        if (!mandate || ['completed', 'cancelled'].includes(mandate.status)) {
+            return res.redirect("/billers/autopay?error=That autopay can no longer be edited");
+        }
+
+        const { values, error } = await parseAutopayForm(req.body, mandate);
+        if (error) {
+            return res.redirect(`/billers/autopay/${mandate._id}/edit?error=` + encodeURIComponent(error));
+        }
+
+        Object.assign(mandate, values);
+        await mandate.save();
+        res.redirect("/billers/autopay?success=Autopay updated");
+    } catch (error) {
+        console.error("Autopay update error:", error);
+        res.redirect("/billers/autopay?error=Failed to update autopay");
+    }
+});
+
+app.post("/billers/autopay/:id/pause", requireAuth, async (req, res) => {
+    try {
+        const result = await AutopayMandate.updateOne(
+            { _id: req.params.id, userId: req.session.userId, status: 'active' },
+            { status: 'paused' }
+        );
+        if (result.modifiedCount === 0) {
+            return res.redirect("/billers/autopay?error=Only active autopay can be paused");
+        }
+        res.redirect("/billers/autopay?success=Autopay paused");
+    } catch (error) {
+        console.error("Autopay pause error:", error);
+        res.redirect("/billers/autopay?error=Failed to pause autopay");
+    }
+});
+
+app.post("/billers/autopay/:id/resume", requireAuth, async (req, res) => {
+    try {
+        const mandate = await AutopayMandate.findOne({ _id: req.params.id, userId: req.session.userId, status: 'paused' });
+        if (!mandate) {
+            return res.redirect("/billers/autopay?error=Only paused autopay can be resumed");
+        }
+
+        mandate.status = 'active';
+        skipMissedOccurrences(mandate);
+        await mandate.save();
+        res.redirect("/billers/autopay?success=Autopay resumed. Payments missed while paused were skipped.");
+    } catch (error) {
+        console.error("Autopay resume error:", error);
+        res.redirect("/billers/autopay?error=Failed to resume autopay");
+    }
+});
+
+app.post("/billers/autopay/:id/cancel", requireAuth, async (req, res) => {
+    try {
+        const result = await AutopayMandate.updateOne(
+            { _id: req.params.id, userId: req.session.userId, status: { $in: ['active', 'paused'] } },
+            { status: 'cancelled', nextRunAt: null }
+        );
+        if (result.modifiedCount === 0) {
+            return res.redirect("/billers/autopay?error=That autopay has already ended");
+        }
+        res.redirect("/billers/autopay?success=Autopay cancelled");
+    } catch (error) {
+        console.error("Autopay cancel error:", error);
+        res.redirect("/billers/autopay?error=Failed to cancel autopay");
+    }
+});
+
 // ========== LOAN ROUTES ==========
 app.get("/loans", requireAuth, async (req, res) => {
     try {
@@ -907,46 +5393,261 @@ app.get("/loans", requireAuth, async (req, res) => {
         res.render("loans", {
             title: "Loan Applications | Saxon Bank",
             user,
-            loans,
-            formatCurrency,
+            currencySymbol: CURRENCIES[user.currency].symbol,
+            loans,
+            baseRates: LOAN_BASE_RATES,
+            loanTerms: LOAN_TERMS,
+            minAmount: LOAN_MIN_AMOUNT,
+            maxAmount: LOAN_MAX_AMOUNT,
+            securedTypes: LOAN_SECURED_TYPES,
+            documentTypes: LOAN_DOCUMENT_TYPES,
+            requiredDocuments: LOAN_REQUIRED_DOCUMENTS,
+            employmentStatuses: LOAN_EMPLOYMENT_STATUSES,
+            formatCurrency: currencyFormatter(user.currency),
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Loans error:", error);
+        res.redirect("/dashboard");
+    }
+});
+
+// Indicative quote for the application form; the rate is re-quoted when an admin approves
+app.get("/api/loans/quote", requireAuth, async (req, res) => {
+    try {
+        const request = {
+            loanType: req.query.loanType,
+            amount: Number(req.query.amount),
+            term: Number(req.query.term)
+        };
+        const user = await User.findById(req.session.userId);
+        const invalid = validateLoanRequest(request, user.currency);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        res.json(await quoteLoan(user, request));
+    } catch (error) {
+        console.error("Loan quote error:", error);
+        res.status(500).json({ error: "Failed to calculate quote" });
+    }
+});
+
+app.post("/loans/apply", requireAuth, requireLoanKyc, acceptLoanDocuments("/loans"), async (req, res) => {
+    try {
+        const { loanType, purpose } = req.body;
+        const amount = Number(req.body.amount);
+        const term = Number(req.body.term);
+        const user = await User.findById(req.session.userId);
+        const invalid = validateLoanRequest({ loanType, amount, term }, user.currency);
+        if (invalid) {
+            discardUploads(req.files);
+            return res.redirect("/loans?error=" + encodeURIComponent(invalid));
+        }
+        const documents = uploadedLoanDocuments(req.files);
+        const { values, error } = parseLoanApplication(req.body, loanType, documents);
+        if (error) {
+            discardUploads(req.files);
+            return res.redirect("/loans?error=" + encodeURIComponent(error));
+        }
+        
+        const loan = new Loan({
+            userId: user._id,
+            loanType,
+            amount,
+            term,
+            purpose,
+            status: 'pending',
+            application: values,
+            documents,
+            applicationQuote: await quoteLoan(user, { loanType, amount, term })
+        });
+        
+        await loan.save();
+
+        // Create notification
+        const notification = new Notification({
+            userId: user._id,
+            type: 'loan',
+            title: 'Loan Application Submitted',
+            message: `Your ${loanType} loan application for ${formatCurrency(amount, user.currency)} has been submitted for review.`
+        });
+        await notification.save();
+        
+        res.redirect("/loans?success=Loan application submitted successfully!");
+    } catch (error) {
+        discardUploads(req.files);
+        console.error("Loan application error:", error);
+        res.redirect("/loans?error=Failed to submit application");
+    }
+});
+
+// Answer an admin's request for more information; the loan goes back for review
+app.post("/loans/:id/respond", requireAuth, acceptLoanDocuments("/loans"), async (req, res) => {
+    try {
+        const loan = mongoose.Types.ObjectId.isValid(req.params.id) &&
+            await Loan.findOne({ _id: req.params.id, userId: req.session.userId });
+        if (!loan || loan.status !== 'info_requested') {
+            discardUploads(req.files);
+            return res.redirect("/loans?error=This application isn't waiting on more information");
+        }
+        const response = (req.body.response || '').trim().slice(0, MAX_LOAN_TEXT_LENGTH);
+        if (!response) {
+            discardUploads(req.files);
+            return res.redirect("/loans?error=Please reply to the reviewer's question");
+        }
+
+        const request = loan.infoRequests[loan.infoRequests.length - 1];
+        request.response = response;
+        request.respondedAt = new Date();
+        loan.documents.push(...uploadedLoanDocuments(req.files));
+        loan.status = 'pending';
+        await loan.save();
+
+        await Notification.create({
+            userId: loan.userId,
+            type: 'loan',
+            title: 'Loan Application Updated',
+            message: `Thanks, we've received your reply and your ${loan.loanType} loan application is back under review.`
+        });
+
+        res.redirect("/loans?success=Your reply has been sent to our lending team");
+    } catch (error) {
+        discardUploads(req.files);
+        console.error("Loan response error:", error);
+        res.redirect("/loans?error=Failed to send your reply");
+    }
+});
+
+// Supporting documents are only shown to the applicant and to admins
+app.get("/loans/:id/documents/:documentId", requireAuth, async (req, res) => {
+    try {
+        const loan = mongoose.Types.ObjectId.isValid(req.params.id) && await Loan.findById(req.params.id);
+        const document = loan && loan.documents.id(req.params.documentId);
+        if (!document || (String(loan.userId) !== String(req.session.userId) && !req.session.isAdmin)) {
+            return res.status(404).send("Document not found");
+        }
+
+        // Only known image/PDF extensions are shown inline; anything else downloads
+        const contentType = UPLOAD_CONTENT_TYPES[path.extname(document.filename).toLowerCase()];
+        res.set("X-Content-Type-Options", "nosniff");
+        res.type(contentType || "application/octet-stream");
+        res.set("Content-Disposition", `${contentType ? "inline" : "attachment"}; filename="${document.originalName.replace(/[^\w.\- ]/g, '_')}"`);
+        res.sendFile(path.join(loanUploadDir, document.filename), error => {
+            if (error && !res.headersSent) res.status(404).send("Document not found");
+        });
+    } catch (error) {
+        console.error("Loan document error:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+// Schedule, payments so far and what's left on an approved loan
+app.get("/loans/:id", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const loan = mongoose.Types.ObjectId.isValid(req.params.id) &&
+            await Loan.findOne({ _id: req.params.id, userId: user._id });
+        if (!loan || loan.status !== 'approved' || !loan.schedule) {
+            return res.redirect("/loans?error=Loan not found");
+        }
+
+        // Show today's position even if the collection job hasn't run yet
+        const now = new Date();
+        refreshLoanStatus(loan, now);
+        const repayments = await Transaction.find({ loanId: loan._id, userId: user._id }).sort({ date: -1 });
+        const remainingInterest = loan.schedule.reduce((sum, instalment) =>
+            sum + toCents(instalment.interest) - toCents(instalment.interestPaid), 0) / 100;
+
+        res.render("loan-detail", {
+            title: "Loan Details | Saxon Bank",
+            user,
+            loan,
+            repayments,
+            payoffAmount: loanPayoffAmount(loan, now),
+            remainingInterest,
+            lateFee: LOAN_LATE_FEE,
+            graceDays: LOAN_GRACE_DAYS,
+            idempotencyKey: newIdempotencyKey(),
+            formatCurrency: currencyFormatter(user.currency),
             success: req.query.success || null,
             error: req.query.error || null
         });
     } catch (error) {
-        console.error("Loans error:", error);
-        res.redirect("/dashboard");
+        console.error("Loan detail error:", error);
+        res.redirect("/loans?error=Failed to load loan");
     }
 });
 
-app.post("/loans/apply", requireAuth, async (req, res) => {
+// Manual repayment: clears anything due first, the rest prepays principal.
+// `payoff=on` pays the loan off in full.
+app.post("/loans/:id/repay", requireAuth, idempotent("/loans", ["amount", "payoff"]), async (req, res) => {
+    const back = `/loans/${encodeURIComponent(req.params.id)}`;
+    let claimed = null;
     try {
-        const { loanType, amount, term, purpose } = req.body;
         const user = await User.findById(req.session.userId);
-        
-        const loan = new Loan({
-            userId: user._id,
-            loanType,
-            amount: Number(amount),
-            term: Number(term),
-            purpose,
-            status: 'pending'
-        });
-        
-        await loan.save();
+        const now = new Date();
+        const loan = mongoose.Types.ObjectId.isValid(req.params.id) &&
+            await Loan.findOne({ _id: req.params.id, userId: user._id });
+        if (!loan || loan.status !== 'approved' || !loan.schedule) {
+            return res.redirect("/loans?error=Loan not found");
+        }
+        if (loan.repaymentStatus === 'paid_off') {
+            return res.redirect(back + "?error=This loan is already paid off");
+        }
 
-        // Create notification
-        const notification = new Notification({
-            userId: user._id,
-            type: 'loan',
-            title: 'Loan Application Submitted',
-            message: `Your ${loanType} loan application for ${formatCurrency(amount)} has been submitted for review.`
+        // Same lock as the collection job, so the two can't apply money at once
+        claimed = await Loan.findOneAndUpdate(
+            { _id: loan._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+            { lockedUntil: new Date(now.getTime() + LOAN_COLLECTION_LOCK_MS) },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.redirect(back + "?error=" + encodeURIComponent("A payment on this loan is being processed. Please try again in a few minutes."));
+        }
+
+        refreshLoanStatus(claimed, now);
+        const payoffAmount = loanPayoffAmount(claimed, now);
+        const payoff = req.body.payoff === 'on';
+        const amount = payoff ? payoffAmount : Math.round(Number(req.body.amount) * 100) / 100;
+        if (!(amount > 0)) {
+            throw new LoanRepaymentError("Please enter a valid amount");
+        }
+        if (amount > payoffAmount) {
+            throw new LoanRepaymentError(`You can pay at most ${formatCurrency(payoffAmount, user.currency)}, the amount needed to pay the loan off`);
+        }
+        if (user.balance < amount) {
+            throw new LoanRepaymentError("Insufficient funds");
+        }
+
+        claimed.lockedUntil = null;
+        const split = await postLoanRepayment(claimed, user, amount, {
+            description: `${loanLabel(claimed)} ${amount === payoffAmount ? 'payoff' : 'repayment'}`,
+            createdBy: user._id,
+            now
         });
-        await notification.save();
-        
-        res.redirect("/loans?success=Loan application submitted successfully!");
+        const paidOff = claimed.repaymentStatus === 'paid_off';
+        claimed = null;
+
+        if (paidOff) {
+            await notifyLoanPaidOff(loan, user.currency);
+            return res.redirect(back + "?success=" + encodeURIComponent("Your loan is paid off!"));
+        }
+        const money = currencyFormatter(user.currency);
+        res.redirect(back + "?success=" + encodeURIComponent(
+            `Paid ${money(amount)}: ${money(split.principal)} principal, ` +
+            `${money(split.interest)} interest${split.fees ? `, ${money(split.fees)} fees` : ''}`));
     } catch (error) {
-        console.error("Loan application error:", error);
-        res.redirect("/loans?error=Failed to submit application");
+        if (claimed) {
+            await Loan.updateOne({ _id: claimed._id }, { lockedUntil: null })
+                .catch(err => console.error("Loan unlock error:", err));
+        }
+        if (error instanceof LoanRepaymentError || error instanceof LedgerError) {
+            return res.redirect(back + "?error=" + encodeURIComponent(error.message));
+        }
+        console.error("Loan repayment error:", error);
+        res.redirect(back + "?error=Failed to process payment");
     }
 });
 
@@ -969,7 +5670,7 @@ app.get("/referrals", requireAuth, async (req, res) => {
             completedReferrals,
             pendingReferrals,
             earned,
-            formatCurrency,
+            formatCurrency: currencyFormatter(user.currency),
             success: req.query.success || null,
             error: req.query.error || null
         });
@@ -999,10 +5700,35 @@ app.get("/chat", requireAuth, async (req, res) => {
 app.get("/currency", requireAuth, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId);
+
+        // The account currency first, then opened wallets, then the rest
+        const held = [user.currency, ...user.wallets.map(w => w.currency)];
+        const wallets = held.concat(CURRENCY_CODES.filter(code => !held.includes(code))).map(code => ({
+            currency: code,
+            ...CURRENCIES[code],
+            balance: balanceIn(user, code),
+            primary: code === user.currency,
+            opened: held.includes(code)
+        }));
+        const totalValue = wallets.reduce((sum, w) => sum + w.balance * fxMidRate(w.currency, user.currency), 0);
+        const rates = CURRENCY_CODES.filter(code => code !== user.currency).map(code => ({
+            currency: code,
+            ...CURRENCIES[code],
+            mid: fxMidRate(user.currency, code),
+            buy: fxCustomerRate(user.currency, code),
+            sell: fxCustomerRate(code, user.currency)
+        }));
+
         res.render("currency", {
             title: "Multi-Currency | Saxon Bank",
             user,
-            formatCurrency,
+            wallets,
+            totalValue,
+            rates,
+            currencies: CURRENCIES,
+            spreadPercent: FX_SPREAD_PERCENT,
+            idempotencyKey: newIdempotencyKey(),
+            formatCurrency: currencyFormatter(user.currency),
             success: req.query.success || null,
             error: req.query.error || null
         });
@@ -1012,6 +5738,46 @@ app.get("/currency", requireAuth, async (req, res) => {
     }
 });
 
+// Hold a conversion rate for the customer to confirm
+app.post("/api/currency/quote", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const quote = await quoteConversion(user, req.body);
+        res.json({
+            quoteId: quote._id,
+            fromCurrency: quote.fromCurrency,
+            toCurrency: quote.toCurrency,
+            amount: quote.amount,
+            midRate: quote.midRate,
+            spreadPercent: quote.spreadPercent,
+            rate: quote.rate,
+            convertedAmount: quote.convertedAmount,
+            expiresAt: quote.expiresAt
+        });
+    } catch (error) {
+        if (error instanceof ConversionError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("Currency quote error:", error);
+        res.status(500).json({ error: "Failed to get a quote" });
+    }
+});
+
+app.post("/currency/convert", requireAuth, idempotent("/currency", ["quoteId"]), async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const quote = await executeConversion(user, req.body.quoteId);
+        res.redirect("/currency?success=" + encodeURIComponent(
+            `Converted ${formatCurrency(quote.amount, quote.fromCurrency)} to ${formatCurrency(quote.convertedAmount, quote.toCurrency)}`));
+    } catch (error) {
+        if (error instanceof ConversionError || error instanceof LedgerError) {
+            return res.redirect("/currency?error=" + encodeURIComponent(error.message));
+        }
+        console.error("Currency conversion error:", error);
+        res.redirect("/currency?error=Conversion failed");
+    }
+});
+
 // ========== KYC VERIFICATION ROUTES ==========
 app.get("/kyc", requireAuth, async (req, res) => {
     try {
@@ -1120,7 +5886,7 @@ app.get("/dashboard", requireAuth, async (req, res) => {
             title: "Dashboard | Saxon Bank",
             user,
             transactions,
-            formatCurrency
+            formatCurrency: currencyFormatter(user.currency)
         });
     } catch (error) {
         console.error(error);
@@ -1135,106 +5901,695 @@ app.get("/deposit", requireAuth, async (req, res) => {
         res.render("deposit", {
             title: "Deposit | Saxon Bank",
             user,
+            currencySymbol: CURRENCIES[user.currency].symbol,
+            idempotencyKey: newIdempotencyKey(),
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Deposit page error:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+app.post("/deposit", requireAuth, idempotent("/deposit", ["amount", "method", "description"]), async (req, res) => {
+    try {
+        const { amount } = req.body;
+        const user = await User.findById(req.session.userId);
+
+        if (!(Number(amount) > 0)) {
+            return res.redirect("/deposit?error=Please enter a valid amount");
+        }
+
+        await postJournal({
+            description: "Deposit to account",
+            entries: [
+                ledgerLine('debit', LEDGER_ACCOUNTS.CASH, amount),
+                ledgerLine('credit', user._id, amount)
+            ],
+            transactions: [{
+                userId: user._id,
+                type: "deposit",
+                amount: Number(amount),
+                description: "Deposit to account",
+                status: "completed"
+            }]
+        });
+
+        res.redirect("/dashboard?success=Deposit successful");
+    } catch (error) {
+        console.error("Deposit error:", error);
+        res.redirect("/deposit?error=Deposit failed");
+    }
+});
+
+// Transfer Page
+app.get("/transfer", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const payees = await Payee.find({ userId: user._id }).sort({ lastTransferAt: -1, nickname: 1 });
+        res.render("transfer", {
+            title: "Transfer | Saxon Bank",
+            user,
+            currencySymbol: CURRENCIES[user.currency].symbol,
+            payees,
+            toAccount: req.query.to || '',
+            idempotencyKey: newIdempotencyKey(),
+            success: req.query.success || null,
+            error: req.query.error || null,
+        });
+    } catch (error) {
+        console.error("Transfer page error:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+app.post("/transfer", requireAuth, idempotent("/transfer", ["toAccount", "amount", "description"]), async (req, res) => {
+    try {
+        const { amount, description } = req.body;
+        const toAccount = normalizeAccountNumber(req.body.toAccount);
+        if (!isValidAccountNumber(toAccount)) {
+            return res.redirect("/transfer?error=" + encodeURIComponent(INVALID_ACCOUNT_NUMBER_MESSAGE));
+        }
+        const sender = await User.findById(req.session.userId);
+
+        const recipient = await User.findOne({ accountNumber: toAccount });
+        if (recipient && await isFirstTransferTo(sender, recipient)) {
+            req.session.pendingTransfer = {
+                toAccount,
+                amount,
+                description: description || '',
+                expiresAt: Date.now() + PENDING_TRANSFER_TTL_MS
+            };
+            return res.redirect("/transfer/confirm");
+        }
+
+        const { transaction } = await initiateTransfer(sender, { toAccount, amount, description });
+        await recordPayeeTransfer(sender, toAccount);
+
+        res.redirect("/transfer?success=" + encodeURIComponent(transferResultMessage(transaction)));
+    } catch (error) {
+        if (error instanceof TransferError) {
+            return res.redirect("/transfer?error=" + encodeURIComponent(error.message));
+        }
+        console.error("Transfer error:", error);
+        res.redirect("/transfer?error=" + (error instanceof LedgerError ? error.message : "Transfer failed"));
+    }
+});
+
+// First transfer to a new recipient: show who it's going to and ask for the password
+app.get("/transfer/confirm", requireAuth, async (req, res) => {
+    try {
+        const pending = req.session.pendingTransfer;
+        if (!pending || pending.expiresAt < Date.now()) {
+            delete req.session.pendingTransfer;
+            return res.redirect("/transfer?error=Your transfer session expired. Please start again.");
+        }
+
+        const user = await User.findById(req.session.userId);
+        const recipient = await User.findOne({ accountNumber: pending.toAccount });
+        if (!recipient) {
+            delete req.session.pendingTransfer;
+            return res.redirect("/transfer?error=Recipient account not found");
+        }
+        const payee = await Payee.findOne({ userId: user._id, accountNumber: pending.toAccount });
+
+        res.render("transfer-confirm", {
+            title: "Confirm Transfer | Saxon Bank",
+            user,
+            pending,
+            payee,
+            maskedName: maskName(recipient.name),
+            schedule: null,
+            confirmAction: "/transfer/confirm",
+            cancelUrl: "/transfer",
+            idempotencyKey: newIdempotencyKey(),
+            formatCurrency: currencyFormatter(user.currency),
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Transfer confirm page error:", error);
+        res.redirect("/transfer?error=Transfer failed");
+    }
+});
+
+// The transfer itself comes from the session; the body only carries the password
+app.post("/transfer/confirm", requireAuth, idempotent("/transfer"), async (req, res) => {
+    try {
+        const pending = req.session.pendingTransfer;
+        if (!pending || pending.expiresAt < Date.now()) {
+            delete req.session.pendingTransfer;
+            return res.redirect("/transfer?error=Your transfer session expired. Please start again.");
+        }
+
+        const sender = await User.findById(req.session.userId);
+        const passwordError = await checkTransferPassword(req, sender, `First transfer to ${pending.toAccount}`);
+        if (passwordError) {
+            return res.redirect("/transfer/confirm?error=" + encodeURIComponent(passwordError));
+        }
+
+        delete req.session.pendingTransfer;
+        const { transaction } = await initiateTransfer(sender, pending);
+        await recordPayeeTransfer(sender, pending.toAccount);
+
+        res.redirect("/transfer?success=" + encodeURIComponent(transferResultMessage(transaction)));
+    } catch (error) {
+        if (error instanceof TransferError) {
+            return res.redirect("/transfer?error=" + encodeURIComponent(error.message));
+        }
+        console.error("Transfer confirm error:", error);
+        res.redirect("/transfer?error=" + (error instanceof LedgerError ? error.message : "Transfer failed"));
+    }
+});
+
+// ========== PAYEE ROUTES ==========
+app.get("/payees", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const payees = await Payee.find({ userId: user._id }).sort({ nickname: 1 });
+
+        let pendingPayee = req.session.pendingPayee || null;
+        if (pendingPayee && pendingPayee.expiresAt < Date.now()) {
+            delete req.session.pendingPayee;
+            pendingPayee = null;
+        }
+
+        res.render("payees", {
+            title: "Saved Payees | Saxon Bank",
+            user,
+            payees,
+            pendingPayee,
             success: req.query.success || null,
             error: req.query.error || null
         });
     } catch (error) {
-        console.error("Deposit page error:", error);
-        res.status(500).send("Server error");
+        console.error("Payees page error:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+// Step 1: look the account up and show the masked holder name for confirmation
+app.post("/payees/lookup", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const accountNumber = normalizeAccountNumber(req.body.accountNumber);
+        const nickname = String(req.body.nickname || '').trim();
+
+        if (!nickname || nickname.length > MAX_PAYEE_NICKNAME_LENGTH) {
+            return res.redirect(`/payees?error=Nickname must be 1-${MAX_PAYEE_NICKNAME_LENGTH} characters`);
+        }
+
+        if (!isValidAccountNumber(accountNumber)) {
+            return res.redirect("/payees?error=" + encodeURIComponent(INVALID_ACCOUNT_NUMBER_MESSAGE));
+        }
+
+        const throttleKey = `payee-lookup:${user._id}`;
+        const throttle = await checkThrottle([throttleKey]);
+        if (!throttle.allowed) {
+            return res.redirect("/payees?error=" + encodeURIComponent("Too many account lookups. Please try again later."));
+        }
+        await recordThrottleFailure(throttleKey, PAYEE_LOOKUP_THROTTLE);
+
+        const payeeUser = await User.findOne({ accountNumber });
+        if (!payeeUser) {
+            return res.redirect("/payees?error=We couldn't find that account number");
+        }
+        if (payeeUser._id.equals(user._id)) {
+            return res.redirect("/payees?error=You can't add your own account as a payee");
+        }
+        if (await Payee.exists({ userId: user._id, accountNumber })) {
+            return res.redirect("/payees?error=That account is already in your payees");
+        }
+
+        req.session.pendingPayee = {
+            accountNumber,
+            nickname,
+            maskedName: maskName(payeeUser.name),
+            expiresAt: Date.now() + PENDING_PAYEE_TTL_MS
+        };
+        res.redirect("/payees");
+    } catch (error) {
+        console.error("Payee lookup error:", error);
+        res.redirect("/payees?error=Failed to look up account");
+    }
+});
+
+// Step 2: the customer confirmed the name, save the payee
+app.post("/payees", requireAuth, async (req, res) => {
+    try {
+        const pending = req.session.pendingPayee;
+        delete req.session.pendingPayee;
+        if (!pending || pending.expiresAt < Date.now()) {
+            return res.redirect("/payees?error=That confirmation expired. Please add the payee again.");
+        }
+        if (req.body.confirmName !== 'yes') {
+            return res.redirect("/payees?error=Payee not saved");
+        }
+
+        const payeeUser = await User.findOne({ accountNumber: pending.accountNumber });
+        if (!payeeUser) {
+            return res.redirect("/payees?error=We couldn't find that account number");
+        }
+
+        await Payee.create({
+            userId: req.session.userId,
+            payeeUserId: payeeUser._id,
+            accountNumber: pending.accountNumber,
+            nickname: pending.nickname,
+            maskedName: maskName(payeeUser.name)
+        });
+
+        res.redirect("/payees?success=" + encodeURIComponent(`${pending.nickname} added to your payees`));
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.redirect("/payees?error=That account is already in your payees");
+        }
+        console.error("Payee save error:", error);
+        res.redirect("/payees?error=Failed to save payee");
+    }
+});
+
+app.post("/payees/cancel", requireAuth, (req, res) => {
+    delete req.session.pendingPayee;
+    res.redirect("/payees");
+});
+
+app.post("/payees/:id/delete", requireAuth, async (req, res) => {
+    try {
+        await Payee.deleteOne({ _id: req.params.id, userId: req.session.userId });
+        res.redirect("/payees?success=Payee removed");
+    } catch (error) {
+        console.error("Payee delete error:", error);
+        res.redirect("/payees?error=Failed to remove payee");
+    }
+});
+
+// ========== SCHEDULED TRANSFER ROUTES ==========
+async function renderScheduledTransfers(req, res, editing = null) {
+    const user = await User.findById(req.session.userId);
+    const orders = await ScheduledTransfer.find({ userId: user._id }).sort({ status: 1, nextRunAt: 1, createdAt: -1 });
+    res.render("scheduled-transfers", {
+        title: "Scheduled Transfers | Saxon Bank",
+        user,
+        currencySymbol: CURRENCIES[user.currency].symbol,
+        orders,
+        editing,
+        describeSchedule,
+        formatCurrency: currencyFormatter(user.currency),
+        formatStatementDate,
+        success: req.query.success || null,
+        error: req.query.error || null
+    });
+}
+
+app.get("/transfers/scheduled", requireAuth, async (req, res) => {
+    try {
+        await renderScheduledTransfers(req, res);
+    } catch (error) {
+        console.error("Scheduled transfers page error:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+app.get("/transfers/scheduled/:id/edit", requireAuth, async (req, res) => {
+    try {
+        const order = await ScheduledTransfer.findOne({ _id: req.params.id, userId: req.session.userId });
+        if (!order || ['completed', 'cancelled'].includes(order.status)) {
+            return res.redirect("/transfers/scheduled?error=That standing order can no longer be edited");
+        }
+        await renderScheduledTransfers(req, res, order);
+    } catch (error) {
+        console.error("Scheduled transfer edit page error:", error);
+        res.redirect("/transfers/scheduled?error=Standing order not found");
+    }
+});
+
+async function createScheduledTransfer(user, values, res) {
+    const order = new ScheduledTransfer({ userId: user._id, ...values });
+    order.nextRunAt = nextScheduledRun(order);
+    await order.save();
+
+    res.redirect("/transfers/scheduled?success=" + encodeURIComponent(`Standing order to ${order.recipientName} set up: ${describeSchedule(order)}`));
+}
+
+app.post("/transfers/scheduled", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const { values, error } = await parseScheduledTransferForm(req.body, user);
+        if (error) {
+            return res.redirect("/transfers/scheduled?error=" + encodeURIComponent(error));
+        }
+
+        // A standing order to someone never paid before needs the same
+        // confirmation as a one-off transfer, or it would pay them unchecked
+        const recipient = await User.findOne({ accountNumber: values.toAccount });
+        if (await isFirstTransferTo(user, recipient)) {
+            const { toAccount, amount, description, frequency, startDate, endType, endDate, maxPayments } = req.body;
+            req.session.pendingScheduledTransfer = {
+                form: { toAccount, amount, description, frequency, startDate, endType, endDate, maxPayments },
+                expiresAt: Date.now() + PENDING_TRANSFER_TTL_MS
+            };
+            return res.redirect("/transfers/scheduled/confirm");
+        }
+
+        await createScheduledTransfer(user, values, res);
+    } catch (error) {
+        console.error("Scheduled transfer create error:", error);
+        res.redirect("/transfers/scheduled?error=Failed to set up standing order");
+    }
+});
+
+// The form is re-validated on confirm, since the start date may have passed
+async function loadPendingScheduledTransfer(req, user) {
+    const pending = req.session.pendingScheduledTransfer;
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.pendingScheduledTransfer;
+        return { error: "Your session expired. Please set up the standing order again." };
+    }
+    const { values, error } = await parseScheduledTransferForm(pending.form, user);
+    if (error) delete req.session.pendingScheduledTransfer;
+    return { values, error };
+}
+
+app.get("/transfers/scheduled/confirm", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const { values, error } = await loadPendingScheduledTransfer(req, user);
+        if (error) {
+            return res.redirect("/transfers/scheduled?error=" + encodeURIComponent(error));
+        }
+
+        const recipient = await User.findOne({ accountNumber: values.toAccount });
+        const payee = await Payee.findOne({ userId: user._id, accountNumber: values.toAccount });
+        res.render("transfer-confirm", {
+            title: "Confirm Standing Order | Saxon Bank",
+            user,
+            pending: values,
+            payee,
+            maskedName: maskName(recipient.name),
+            schedule: describeSchedule(values),
+            confirmAction: "/transfers/scheduled/confirm",
+            cancelUrl: "/transfers/scheduled",
+            idempotencyKey: newIdempotencyKey(),
+            formatCurrency: currencyFormatter(user.currency),
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Scheduled transfer confirm page error:", error);
+        res.redirect("/transfers/scheduled?error=Failed to set up standing order");
+    }
+});
+
+app.post("/transfers/scheduled/confirm", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const { values, error } = await loadPendingScheduledTransfer(req, user);
+        if (error) {
+            return res.redirect("/transfers/scheduled?error=" + encodeURIComponent(error));
+        }
+
+        const passwordError = await checkTransferPassword(req, user, `Standing order to ${values.toAccount}`);
+        if (passwordError) {
+            return res.redirect("/transfers/scheduled/confirm?error=" + encodeURIComponent(passwordError));
+        }
+
+        delete req.session.pendingScheduledTransfer;
+        await createScheduledTransfer(user, values, res);
+    } catch (error) {
+        console.error("Scheduled transfer confirm error:", error);
+        res.redirect("/transfers/scheduled?error=Failed to set up standing order");
+    }
+});
+
+app.post("/transfers/scheduled/:id", requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const order = await ScheduledTransfer.findOne({ _id: req.params.id, userId: user._id });
+        if (!order || ['completed', 'cancelled'].includes(order.status)) {
+            return res.redirect("/transfers/scheduled?error=That standing order can no longer be edited");
+        }
+
+        const { values, error } = await parseScheduledTransferForm(req.body, user, order);
+        if (error) {
+            return res.redirect(`/transfers/scheduled/${order._id}/edit?error=` + encodeURIComponent(error));
+        }
+
+        Object.assign(order, values);
+        order.nextRunAt = nextScheduledRun(order);
+        if (!order.nextRunAt) order.status = 'completed';
+        await order.save();
+
+        res.redirect("/transfers/scheduled?success=Standing order updated");
+    } catch (error) {
+        console.error("Scheduled transfer update error:", error);
+        res.redirect("/transfers/scheduled?error=Failed to update standing order");
+    }
+});
+
+app.post("/transfers/scheduled/:id/pause", requireAuth, async (req, res) => {
+    try {
+        const result = await ScheduledTransfer.updateOne(
+            { _id: req.params.id, userId: req.session.userId, status: 'active' },
+            { status: 'paused' }
+        );
+        if (result.modifiedCount === 0) {
+            return res.redirect("/transfers/scheduled?error=Only active standing orders can be paused");
+        }
+        res.redirect("/transfers/scheduled?success=Standing order paused");
+    } catch (error) {
+        console.error("Scheduled transfer pause error:", error);
+        res.redirect("/transfers/scheduled?error=Failed to pause standing order");
     }
 });
 
-app.post("/deposit", requireAuth, async (req, res) => {
+app.post("/transfers/scheduled/:id/resume", requireAuth, async (req, res) => {
     try {
-        const { amount } = req.body;
-        const user = await User.findById(req.session.userId);
+        const order = await ScheduledTransfer.findOne({ _id: req.params.id, userId: req.session.userId, status: 'paused' });
+        if (!order) {
+            return res.redirect("/transfers/scheduled?error=Only paused standing orders can be resumed");
+        }
 
-        user.balance += Number(amount);
-        await user.save();
+        order.status = 'active';
+        skipMissedOccurrences(order);
+        await order.save();
 
-        const transaction = new Transaction({
-            userId: user._id,
-            type: "deposit",
-            amount: Number(amount),
-            description: "Deposit to account",
-            status: "completed"
-        });
-        await transaction.save();
+        res.redirect("/transfers/scheduled?success=" + encodeURIComponent(order.status === 'completed'
+            ? "That standing order had no payments left, so it has been marked complete"
+            : "Standing order resumed. Payments missed while paused were skipped."));
+    } catch (error) {
+        console.error("Scheduled transfer resume error:", error);
+        res.redirect("/transfers/scheduled?error=Failed to resume standing order");
+    }
+});
 
-        res.redirect("/dashboard?success=Deposit successful");
+app.post("/transfers/scheduled/:id/cancel", requireAuth, async (req, res) => {
+    try {
+        const result = await ScheduledTransfer.updateOne(
+            { _id: req.params.id, userId: req.session.userId, status: { $in: ['active', 'paused'] } },
+            { status: 'cancelled', nextRunAt: null }
+        );
+        if (result.modifiedCount === 0) {
+            return res.redirect("/transfers/scheduled?error=That standing order has already ended");
+        }
+        res.redirect("/transfers/scheduled?success=Standing order cancelled");
     } catch (error) {
-        console.error("Deposit error:", error);
-        res.redirect("/deposit?error=Deposit failed");
+        console.error("Scheduled transfer cancel error:", error);
+        res.redirect("/transfers/scheduled?error=Failed to cancel standing order");
     }
 });
 
-// Transfer Page
-app.get("/transfer", requireAuth, async (req, res) => {
+// Transactions History
+app.get("/transactions", requireAuth, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId);
-        res.render("transfer", {
-            title: "Transfer | Saxon Bank",
+        res.render("transactions", {
+            title: "Transactions | Saxon Bank",
             user,
-            success: req.query.success || null,
-            error: req.query.error || null,
+            categories: await categoryOptions(user._id),
+            formatCurrency: currencyFormatter(user.currency)
         });
     } catch (error) {
-        console.error("Transfer page error:", error);
+        console.error("Transactions page error:", error);
         res.status(500).send("Server error");
     }
 });
 
-app.post("/transfer", requireAuth, async (req, res) => {
+// Transactions API - cursor paginated, newest first
+app.get("/api/transactions", requireAuth, async (req, res) => {
     try {
-        const { toAccount, amount, description } = req.body;
-        const sender = await User.findById(req.session.userId);
-        const recipient = await User.findOne({ accountNumber: toAccount });
+        const userId = new mongoose.Types.ObjectId(req.session.userId);
+        const { filter, error } = await buildTransactionFilter(userId, req.query);
+        if (error) return res.status(400).json({ error });
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || TRANSACTION_PAGE_SIZE, 1), MAX_TRANSACTION_PAGE_SIZE);
+        const pageFilter = { ...filter };
+        if (req.query.cursor) {
+            const cursor = decodeTransactionCursor(req.query.cursor);
+            if (!cursor) return res.status(400).json({ error: 'Invalid cursor' });
+            pageFilter.$and = [...(filter.$and || []), {
+                $or: [
+                    { date: { $lt: cursor.date } },
+                    { date: cursor.date, _id: { $lt: cursor.id } }
+                ]
+            }];
+        }
 
-        if (!recipient) {
-            return res.redirect("/transfer?error=Recipient account not found");
+        const rows = await Transaction.find(pageFilter).sort({ date: -1, _id: -1 }).limit(limit + 1);
+        const hasMore = rows.length > limit;
+        const page = rows.slice(0, limit);
+        const names = await loadCounterpartyNames(page);
+
+        const response = {
+            transactions: page.map(tx => serializeTransaction(tx, userId, names)),
+            nextCursor: hasMore ? encodeTransactionCursor(page[page.length - 1]) : null,
+            hasMore
+        };
+
+        // Totals for the whole filtered set, only on the first page. Money in and
+        // out are in the account currency, so wallet rows are counted but not summed.
+        if (!req.query.cursor) {
+            const { currency } = await User.findById(userId, 'currency');
+            const inAccountCurrency = { $eq: [{ $ifNull: ['$currency', 'USD'] }, currency] };
+            const [totals] = await Transaction.aggregate([
+                { $match: filter },
+                {
+                    $group: {
+                        _id: null,
+                        count: { $sum: 1 },
+                        moneyIn: {
+                            $sum: {
+                                $cond: [
+                                    { $and: [
+                                        { $ne: ['$status', 'failed'] },
+                                        inAccountCurrency,
+                                        { $or: [
+                                            { $eq: ['$type', 'deposit'] },
+                                            { $and: [{ $eq: ['$type', 'transfer'] }, { $ne: ['$fromUserId', userId] }] }
+                                        ] }
+                                    ] },
+                                    '$amount', 0
+                                ]
+                            }
+                        },
+                        moneyOut: {
+                            $sum: {
+                                $cond: [
+                                    { $and: [
+                                        { $ne: ['$status', 'failed'] },
+                                        inAccountCurrency,
+                                        { $ne: ['$type', 'deposit'] },
+                                        { $or: [
+                                            { $ne: ['$type', 'transfer'] },
+                                            { $eq: ['$fromUserId', userId] }
+                                        ] }
+                                    ] },
+                                    '$amount', 0
+                                ]
+                            }
+                        },
+                        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } }
+                    }
+                }
+            ]);
+            response.summary = {
+                count: totals ? totals.count : 0,
+                moneyIn: totals ? totals.moneyIn : 0,
+                moneyOut: totals ? totals.moneyOut : 0,
+                pending: totals ? totals.pending : 0
+            };
         }
 
-        if (sender.balance < Number(amount)) {
-            return res.redirect("/transfer?error=Insufficient funds");
+        res.json(response);
+    } catch (error) {
+        console.error("Transactions API error:", error);
+        res.status(500).json({ error: "Failed to load transactions" });
+    }
+});
+
+// Re-tag one transaction; optionally turn it into a rule for similar ones
+app.post("/api/transactions/:id/category", requireAuth, async (req, res) => {
+    try {
+        const category = normalizeCategory(req.body.category);
+        if (!category) {
+            return res.status(400).json({ error: `Category must be 1-${MAX_CATEGORY_LENGTH} characters` });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: "Transaction not found" });
         }
 
-        sender.balance -= Number(amount);
-        await sender.save();
+        const transaction = await Transaction.findOneAndUpdate(
+            { _id: req.params.id, userId: req.session.userId },
+            { category, categorySource: 'manual' },
+            { new: true }
+        );
+        if (!transaction) {
+            return res.status(404).json({ error: "Transaction not found" });
+        }
 
-        const transaction = new Transaction({
-            userId: sender._id,
-            type: "transfer",
-            amount: Number(amount),
-            description: description || `Transfer to account ${toAccount}`,
-            toAccount: toAccount,
-            toUserId: recipient._id,
-            fromAccount: sender.accountNumber,
-            fromUserId: sender._id,
-            status: "pending"
-        });
-        await transaction.save();
+        let similarUpdated = 0;
+        const applyToSimilar = req.body.applyToSimilar === true || req.body.applyToSimilar === 'true';
+        if (applyToSimilar && transaction.description) {
+            const rule = await CategoryRule.findOneAndUpdate(
+                { userId: transaction.userId, match: transaction.description.trim() },
+                { category },
+                { new: true, upsert: true, setDefaultsOnInsert: true }
+            );
+            similarUpdated = await applyCategoryRule(rule);
+        }
 
-        res.redirect(`/transfer?success=Transfer initiated! Amount $${amount} debited from your account. Pending admin approval.`);
+        res.json({ success: true, category, similarUpdated });
     } catch (error) {
-        console.error("Transfer error:", error);
-        res.redirect("/transfer?error=Transfer failed");
+        console.error("Transaction category error:", error);
+        res.status(500).json({ error: "Failed to update category" });
     }
 });
 
-// Transactions History
-app.get("/transactions", requireAuth, async (req, res) => {
+// Streams every matching transaction as CSV without loading the history into memory
+app.get("/api/transactions/export", requireAuth, async (req, res) => {
     try {
-        const user = await User.findById(req.session.userId);
-        const transactions = await Transaction.find({ userId: user._id }).sort({ date: -1 });
-        res.render("transactions", {
-            title: "Transactions | Saxon Bank",
-            user,
-            transactions,
-            formatCurrency
-        });
+        const userId = new mongoose.Types.ObjectId(req.session.userId);
+        const { filter, error } = await buildTransactionFilter(userId, req.query);
+        if (error) return res.status(400).json({ error });
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="transactions-${formatStatementDate(new Date())}.csv"`);
+        res.write(['Date', 'Reference', 'Description', 'Type', 'Category', 'Status', 'From', 'To', 'Amount', 'Currency'].join(',') + '\n');
+
+        const cursor = Transaction.find(filter).sort({ date: -1, _id: -1 }).cursor({ batchSize: 200 });
+        let batch = [];
+        const flush = async () => {
+            const names = await loadCounterpartyNames(batch);
+            const chunk = batch.map(tx => {
+                const row = serializeTransaction(tx, userId, names);
+                return [
+                    new Date(row.date).toISOString(),
+                    row.reference,
+                    row.description,
+                    row.type,
+                    row.category,
+                    row.status,
+                    row.from,
+                    row.to,
+                    row.amount.toFixed(2),
+                    row.currency
+                ].map(csvEscape).join(',');
+            }).join('\n') + '\n';
+            batch = [];
+            if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        };
+
+        for await (const tx of cursor) {
+            // Stop reading from Mongo if the client went away
+            if (res.destroyed) break;
+            batch.push(tx);
+            if (batch.length === 200) await flush();
+        }
+        if (batch.length > 0 && !res.destroyed) await flush();
+        res.end();
     } catch (error) {
-        console.error("Transactions page error:", error);
-        res.status(500).send("Server error");
+        console.error("Transactions export error:", error);
+        if (!res.headersSent) return res.status(500).json({ error: "Export failed" });
+        res.end();
     }
 });
 
@@ -1305,6 +6660,7 @@ app.get("/admin", requireAuth, requireAdmin, async (req, res) => {
             status: "pending"
         }).populate("userId");
         const pendingLoans = await Loan.find({ status: "pending" }).populate("userId");
+        const pendingLimitRequests = await LimitIncreaseRequest.find({ status: "pending" }).populate("userId");
         const billers = await Biller.find({});
 
         res.render("admin/dashboard", {
@@ -1314,6 +6670,7 @@ app.get("/admin", requireAuth, requireAdmin, async (req, res) => {
             pendingCards: pendingCards,
             pendingKyc: pendingKyc,
             pendingLoans: pendingLoans,
+            pendingLimitRequests: pendingLimitRequests,
             billers: billers,
             success: req.query.success || null,
             error: req.query.error || null
@@ -1391,15 +6748,42 @@ app.post("/admin/billers/:id/delete", requireAuth, requireAdmin, async (req, res
 // ========== ADMIN LOAN MANAGEMENT ==========
 app.get("/admin/loans", requireAuth, requireAdmin, async (req, res) => {
     try {
-        const pendingLoans = await Loan.find({ status: "pending" }).populate("userId");
-        const approvedLoans = await Loan.find({ status: "approved" }).populate("userId").limit(50);
-        const rejectedLoans = await Loan.find({ status: "rejected" }).populate("userId").limit(50);
+        const { filter, filters, error } = await buildReviewFilter(req.query, {
+            dateField: "appliedDate",
+            userFields: ["userId"],
+            textFields: ["purpose", "loanType"]
+        });
+        if (error) {
+            return res.redirect("/admin/loans?error=" + encodeURIComponent(error));
+        }
+
+        const populate = "userId processedBy infoRequests.requestedBy";
+        const pendingLoans = await Loan.find({ ...filter, status: "pending" })
+            .populate(populate).sort({ appliedDate: 1 });
+
+        // Price each pending application as it stands today
+        const quoted = pendingLoans.filter(loan => loan.userId);
+        const prices = await Promise.all(quoted.map(loan => quoteLoan(loan.userId, loan)));
+        const quotes = {};
+        quoted.forEach((loan, i) => { quotes[loan._id] = prices[i]; });
+        const infoRequestedLoans = await Loan.find({ ...filter, status: "info_requested" })
+            .populate(populate).sort({ appliedDate: 1 });
+        const approvedLoans = await Loan.find({ ...filter, status: "approved" })
+            .populate(populate).sort({ processedDate: -1 }).limit(REVIEW_HISTORY_LIMIT);
+        const rejectedLoans = await Loan.find({ ...filter, status: "rejected" })
+            .populate(populate).sort({ processedDate: -1 }).limit(REVIEW_HISTORY_LIMIT);
         
         res.render("admin/loans", {
             title: "Loan Applications | Admin",
             pendingLoans,
+            infoRequestedLoans,
             approvedLoans,
             rejectedLoans,
+            quotes,
+            documentTypes: LOAN_DOCUMENT_TYPES,
+            employmentStatuses: LOAN_EMPLOYMENT_STATUSES,
+            filters,
+            tab: req.query.tab || 'pending',
             formatCurrency,
             success: req.query.success || null,
             error: req.query.error || null
@@ -1412,42 +6796,63 @@ app.get("/admin/loans", requireAuth, requireAdmin, async (req, res) => {
 
 app.post("/admin/loans/:id/approve", requireAuth, requireAdmin, async (req, res) => {
     try {
+        const notes = (req.body.notes || '').trim();
+        if (!notes) {
+            return res.redirect("/admin/loans?error=Please add a review note");
+        }
+
         const loan = await Loan.findById(req.params.id);
+        if (!loan) {
+            return res.redirect("/admin/loans?error=Loan not found");
+        }
+        if (loan.status !== "pending") {
+            return res.redirect("/admin/loans?error=Loan has already been processed");
+        }
         const user = await User.findById(loan.userId);
-        
-        // Calculate monthly payment (simple interest)
-        const monthlyRate = 0.05 / 12; // 5% annual rate example
-        const months = loan.term * 12;
-        const monthlyPayment = (loan.amount * monthlyRate * Math.pow(1 + monthlyRate, months)) / 
-                              (Math.pow(1 + monthlyRate, months) - 1);
+        if (!user) {
+            return res.redirect("/admin/loans?error=Applicant not found");
+        }
+
+        const quote = await quoteLoan(user, loan);
+        if (!quote.affordability.affordable && req.body.overrideAffordability !== 'on') {
+            return res.redirect("/admin/loans?error=" + encodeURIComponent("This loan fails the affordability check. Tick the override box to approve it anyway."));
+        }
         
         loan.status = "approved";
-        loan.interestRate = 5.0;
-        loan.monthlyPayment = monthlyPayment;
+        loan.interestRate = quote.rate;
+        loan.monthlyPayment = quote.monthlyPayment;
+        loan.approvedQuote = quote;
         loan.processedDate = new Date();
         loan.processedBy = req.session.userId;
-        await loan.save();
-
-        // Add to user balance
-        user.balance += loan.amount;
-        await user.save();
-
-        // Create transaction
-        const transaction = new Transaction({
-            userId: user._id,
-            type: "deposit",
-            amount: loan.amount,
-            description: `${loan.loanType} loan approved - funds disbursed`,
-            status: "completed"
+        loan.notes = notes;
+        startLoanSchedule(loan, loan.processedDate);
+
+        // Disburse funds to the borrower
+        await postJournal({
+            description: `${loan.loanType} loan disbursement`,
+            entries: [
+                ledgerLine('debit', LEDGER_ACCOUNTS.LOANS_RECEIVABLE, loan.amount),
+                ledgerLine('credit', user._id, loan.amount)
+            ],
+            transactions: [{
+                userId: user._id,
+                type: "deposit",
+                amount: loan.amount,
+                description: `${loan.loanType} loan approved - funds disbursed`,
+                kind: "loan_disbursement",
+                status: "completed"
+            }],
+            createdBy: req.session.userId
+        }, async (session) => {
+            await loan.save({ session });
         });
-        await transaction.save();
 
         // Create notification
         const notification = new Notification({
             userId: user._id,
             type: 'loan',
             title: 'Loan Approved!',
-            message: `Your ${loan.loanType} loan of ${formatCurrency(loan.amount)} has been approved and funds have been added to your account.`
+            message: `Your ${loan.loanType} loan of ${formatCurrency(loan.amount, user.currency)} has been approved at ${quote.rate}% APR (${formatCurrency(quote.monthlyPayment, user.currency)}/month) and funds have been added to your account.`
         });
         await notification.save();
         
@@ -1460,12 +6865,23 @@ app.post("/admin/loans/:id/approve", requireAuth, requireAdmin, async (req, res)
 
 app.post("/admin/loans/:id/reject", requireAuth, requireAdmin, async (req, res) => {
     try {
+        const notes = (req.body.notes || '').trim();
+        if (!notes) {
+            return res.redirect("/admin/loans?error=Please add a review note");
+        }
+
         const loan = await Loan.findById(req.params.id);
+        if (!loan) {
+            return res.redirect("/admin/loans?error=Loan not found");
+        }
+        if (!["pending", "info_requested"].includes(loan.status)) {
+            return res.redirect("/admin/loans?error=Loan has already been processed");
+        }
         
         loan.status = "rejected";
         loan.processedDate = new Date();
         loan.processedBy = req.session.userId;
-        loan.notes = req.body.notes || "Application rejected";
+        loan.notes = notes;
         await loan.save();
 
         // Create notification
@@ -1484,6 +6900,40 @@ app.post("/admin/loans/:id/reject", requireAuth, requireAdmin, async (req, res)
     }
 });
 
+// Put an application on hold until the applicant answers; the note is the question
+app.post("/admin/loans/:id/request-info", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const message = (req.body.notes || '').trim();
+        if (!message) {
+            return res.redirect("/admin/loans?error=Please say what information you need");
+        }
+
+        const loan = await Loan.findById(req.params.id);
+        if (!loan) {
+            return res.redirect("/admin/loans?error=Loan not found");
+        }
+        if (loan.status !== "pending") {
+            return res.redirect("/admin/loans?error=Only pending applications can be sent back to the applicant");
+        }
+
+        loan.status = "info_requested";
+        loan.infoRequests.push({ message, requestedBy: req.session.userId });
+        await loan.save();
+
+        await Notification.create({
+            userId: loan.userId,
+            type: 'loan',
+            title: 'More Information Needed',
+            message: `We need more information to review your ${loan.loanType} loan application. Our reviewer asked: "${message}" Please reply from the Loans page.`
+        });
+
+        res.redirect("/admin/loans?tab=info_requested&success=" + encodeURIComponent("Information requested from the applicant"));
+    } catch (error) {
+        console.error("Loan info request error:", error);
+        res.redirect("/admin/loans?error=Failed to request information");
+    }
+});
+
 // ========== ADMIN KYC MANAGEMENT ==========
 app.get("/admin/kyc", requireAuth, requireAdmin, async (req, res) => {
     try {
@@ -1524,21 +6974,24 @@ app.post("/admin/kyc/:id/approve", requireAuth, requireAdmin, async (req, res) =
         kycRequest.processedBy = req.session.userId;
         await kycRequest.save();
 
-        await User.findByIdAndUpdate(kycRequest.userId, {
-            isVerified: true,
-            kycPending: false,
-            kycProgress: 100,
-            idVerified: true,
-            addressVerified: true,
-            selfieVerified: true
-        });
+        const user = await User.findById(kycRequest.userId);
+        user.isVerified = true;
+        user.kycPending = false;
+        user.kycProgress = 100;
+        user.idVerified = true;
+        user.addressVerified = true;
+        user.selfieVerified = true;
+        if (user.limitTier === 'standard') {
+            applyLimitTier(user, 'verified');
+        }
+        await user.save();
 
         // Create notification
         const notification = new Notification({
             userId: kycRequest.userId,
             type: 'security',
             title: 'KYC Verified!',
-            message: 'Your identity has been successfully verified. You now have full access to all features.'
+            message: `Your identity has been successfully verified. You now have full access to all features and your daily limit is ${formatCurrency(user.dailyLimit, user.currency)}.`
         });
         await notification.save();
 
@@ -1580,6 +7033,125 @@ app.post("/admin/kyc/:id/reject", requireAuth, requireAdmin, async (req, res) =>
     }
 });
 
+// ========== ADMIN LIMIT INCREASE REQUESTS ==========
+app.get("/admin/limits", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const pendingRequests = await LimitIncreaseRequest.find({ status: "pending" })
+            .populate("userId")
+            .sort({ submittedAt: 1 });
+
+        const approvedRequests = await LimitIncreaseRequest.find({ status: "approved" })
+            .populate("userId")
+            .sort({ processedAt: -1 })
+            .limit(50);
+
+        const rejectedRequests = await LimitIncreaseRequest.find({ status: "rejected" })
+            .populate("userId")
+            .sort({ processedAt: -1 })
+            .limit(50);
+
+        res.render("admin/limits", {
+            title: "Limit Requests | Admin",
+            pendingRequests,
+            approvedRequests,
+            rejectedRequests,
+            formatCurrency,
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Admin limit requests error:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+app.post("/admin/limits/:id/approve", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const limitRequest = await LimitIncreaseRequest.findById(req.params.id);
+        if (!limitRequest || limitRequest.status !== "pending") {
+            return res.redirect("/admin/limits?error=Request not found or already processed");
+        }
+
+        // The request only shows as approved if the new limits were saved with it
+        let user;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                const claimed = await LimitIncreaseRequest.updateOne(
+                    { _id: limitRequest._id, status: "pending" },
+                    {
+                        status: "approved",
+                        processedAt: new Date(),
+                        processedBy: req.session.userId,
+                        notes: req.body.notes || ''
+                    },
+                    { session }
+                );
+                if (claimed.matchedCount === 0) {
+                    throw new LimitRequestError("Request not found or already processed");
+                }
+
+                user = await User.findByIdAndUpdate(limitRequest.userId, {
+                    dailyLimit: limitRequest.requestedDailyLimit,
+                    weeklyLimit: limitRequest.requestedWeeklyLimit,
+                    monthlyLimit: limitRequest.requestedMonthlyLimit
+                }, { session, new: true });
+                if (!user) {
+                    throw new LimitRequestError("The customer's account no longer exists");
+                }
+            });
+        } catch (error) {
+            if (!(error instanceof LimitRequestError)) throw error;
+            return res.redirect("/admin/limits?error=" + encodeURIComponent(error.message));
+        } finally {
+            await session.endSession();
+        }
+        const money = currencyFormatter(user.currency);
+
+        const notification = new Notification({
+            userId: limitRequest.userId,
+            type: 'limits',
+            title: 'Limit Increase Approved',
+            message: `Your new limits are ${money(limitRequest.requestedDailyLimit)} daily, ` +
+                `${money(limitRequest.requestedWeeklyLimit)} weekly and ${money(limitRequest.requestedMonthlyLimit)} monthly.`
+        });
+        await notification.save();
+
+        res.redirect("/admin/limits?success=Limit increase approved");
+    } catch (error) {
+        console.error("Limit approval error:", error);
+        res.redirect("/admin/limits?error=Failed to approve limit request");
+    }
+});
+
+app.post("/admin/limits/:id/reject", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const limitRequest = await LimitIncreaseRequest.findById(req.params.id);
+        if (!limitRequest || limitRequest.status !== "pending") {
+            return res.redirect("/admin/limits?error=Request not found or already processed");
+        }
+
+        limitRequest.status = "rejected";
+        limitRequest.processedAt = new Date();
+        limitRequest.processedBy = req.session.userId;
+        limitRequest.notes = req.body.notes || "Request rejected";
+        await limitRequest.save();
+
+        const notification = new Notification({
+            userId: limitRequest.userId,
+            type: 'limits',
+            title: 'Limit Increase Update',
+            message: `Your limit increase request was not approved. Reason: ${limitRequest.notes}`
+        });
+        await notification.save();
+
+        res.redirect("/admin/limits?success=Limit request rejected");
+    } catch (error) {
+        console.error("Limit rejection error:", error);
+        res.redirect("/admin/limits?error=Failed to reject limit request");
+    }
+});
+
 // ========== ADMIN USER MANAGEMENT ==========
 app.get("/admin/users", requireAuth, requireAdmin, async (req, res) => {
     try {
@@ -1603,6 +7175,11 @@ app.get("/admin/users/:id", requireAuth, requireAdmin, async (req, res) => {
         const cardRequest = await CardRequest.findOne({ userId: user._id }).sort({ requestDate: -1 });
         const kycRequest = await KycRequest.findOne({ userId: user._id }).sort({ submittedAt: -1 });
         const loans = await Loan.find({ userId: user._id }).sort({ appliedDate: -1 });
+        const lockout = await AuthThrottle.findOne({
+            key: { $in: [loginThrottleKeys(req, user.email)[0], `reset:account:${user.email.toLowerCase()}`] },
+            lockedUntil: { $gt: new Date() }
+        });
+        const auditLogs = await AuditLog.find({ userId: user._id }).sort({ createdAt: -1 }).limit(10);
 
         res.render("admin/user-detail", {
             title: "User Details | Admin",
@@ -1611,7 +7188,9 @@ app.get("/admin/users/:id", requireAuth, requireAdmin, async (req, res) => {
             cardRequest,
             kycRequest,
             loans,
-            formatCurrency,
+            lockout,
+            auditLogs,
+            formatCurrency: currencyFormatter(user.currency),
             success: req.query.success || null,
             error: req.query.error || null
         });
@@ -1626,39 +7205,53 @@ app.post("/admin/users/:id/balance", requireAuth, requireAdmin, async (req, res)
         const { action, amount, reason } = req.body;
         const user = await User.findById(req.params.id);
 
-        if (action === "add") {
-            user.balance += Number(amount);
+        if (!(Number(amount) > 0)) {
+            return res.redirect(`/admin/users/${user._id}?error=Please enter a valid amount`);
+        }
 
-            const transaction = new Transaction({
-                userId: user._id,
-                type: "deposit",
-                amount: Number(amount),
+        if (action === "add") {
+            await postJournal({
                 description: reason || "Admin adjustment - Credit",
-                status: "completed",
-                processedBy: req.session.userId,
-                processedDate: new Date()
+                entries: [
+                    ledgerLine('debit', LEDGER_ACCOUNTS.ADJUSTMENTS, amount),
+                    ledgerLine('credit', user._id, amount)
+                ],
+                transactions: [{
+                    userId: user._id,
+                    type: "deposit",
+                    amount: Number(amount),
+                    description: reason || "Admin adjustment - Credit",
+                    status: "completed",
+                    processedBy: req.session.userId,
+                    processedDate: new Date()
+                }],
+                createdBy: req.session.userId
             });
-            await transaction.save();
 
         } else if (action === "deduct") {
             if (user.balance < Number(amount)) {
                 return res.redirect(`/admin/users/${user._id}?error=Insufficient balance`);
             }
-            user.balance -= Number(amount);
 
-            const transaction = new Transaction({
-                userId: user._id,
-                type: "withdrawal",
-                amount: Number(amount),
+            await postJournal({
                 description: reason || "Admin adjustment - Debit",
-                status: "completed",
-                processedBy: req.session.userId,
-                processedDate: new Date()
+                entries: [
+                    ledgerLine('debit', user._id, amount),
+                    ledgerLine('credit', LEDGER_ACCOUNTS.ADJUSTMENTS, amount)
+                ],
+                transactions: [{
+                    userId: user._id,
+                    type: "withdrawal",
+                    amount: Number(amount),
+                    description: reason || "Admin adjustment - Debit",
+                    status: "completed",
+                    processedBy: req.session.userId,
+                    processedDate: new Date()
+                }],
+                createdBy: req.session.userId
             });
-            await transaction.save();
         }
 
-        await user.save();
         res.redirect(`/admin/users/${user._id}?success=Balance updated successfully`);
     } catch (error) {
         console.error("Admin balance update error:", error);
@@ -1666,6 +7259,26 @@ app.post("/admin/users/:id/balance", requireAuth, requireAdmin, async (req, res)
     }
 });
 
+app.post("/admin/users/:id/unlock", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        const email = user.email.toLowerCase();
+        await clearThrottle([`login:account:${email}`, `reset:account:${email}`]);
+
+        await recordAudit('account_unlocked', {
+            userId: user._id,
+            actorId: req.session.userId,
+            ip: req.ip,
+            details: `Sign-in and password reset lockouts cleared by admin`
+        });
+
+        res.redirect(`/admin/users/${user._id}?success=Account unlocked`);
+    } catch (error) {
+        console.error("Admin unlock error:", error);
+        res.redirect(`/admin/users/${req.params.id}?error=Failed to unlock account`);
+    }
+});
+
 app.post("/admin/users/:id/toggle-admin", requireAuth, requireAdmin, async (req, res) => {
     try {
         const user = await User.findById(req.params.id);
@@ -1682,20 +7295,34 @@ app.post("/admin/users/:id/toggle-admin", requireAuth, requireAdmin, async (req,
 // ========== ADMIN TRANSFER APPROVAL (FIXED) ==========
 app.get("/admin/transfers", requireAuth, requireAdmin, async (req, res) => {
     try {
-        const pendingTransfers = await Transaction.find({
-            type: "transfer",
-            status: "pending"
-        }).populate("fromUserId toUserId").sort({ date: -1 });
+        const { filter, filters, error } = await buildReviewFilter(req.query, {
+            dateField: "date",
+            userFields: ["fromUserId", "toUserId"],
+            textFields: ["description", "toAccount", "fromAccount"]
+        });
+        if (error) {
+            return res.redirect("/admin/transfers?error=" + encodeURIComponent(error));
+        }
 
-        const completedTransfers = await Transaction.find({
-            type: "transfer",
-            status: { $in: ["completed", "rejected"] }
-        }).populate("fromUserId toUserId").sort({ date: -1 }).limit(50);
+        // Sender-side records only; the recipient's copy has no toUserId
+        const base = { ...filter, type: "transfer", toUserId: { $ne: null } };
+        const populate = "fromUserId toUserId processedBy";
+
+        const pendingTransfers = await Transaction.find({ ...base, status: "pending" })
+            .populate(populate).sort({ date: -1 });
+        const approvedTransfers = await Transaction.find({ ...base, status: "completed" })
+            .populate(populate).sort({ date: -1 }).limit(REVIEW_HISTORY_LIMIT);
+        const rejectedTransfers = await Transaction.find({ ...base, status: "rejected" })
+            .populate(populate).sort({ date: -1 }).limit(REVIEW_HISTORY_LIMIT);
 
         res.render("admin/transfers", {
             title: "Transfer Approvals | Admin",
             pendingTransfers,
-            completedTransfers,
+            approvedTransfers,
+            rejectedTransfers,
+            filters,
+            tab: req.query.tab || 'pending',
+            holdReasons: TRANSFER_HOLD_REASONS,
             formatCurrency,
             success: req.query.success || null,
             error: req.query.error || null
@@ -1709,38 +7336,21 @@ app.get("/admin/transfers", requireAuth, requireAdmin, async (req, res) => {
 // FIXED: Approve transfer with better error handling
 app.post("/admin/transfers/:id/approve", requireAuth, requireAdmin, async (req, res) => {
     try {
+        const notes = (req.body.notes || '').trim();
+        if (!notes) {
+            return res.redirect("/admin/transfers?error=Please add a review note");
+        }
+
         const transaction = await Transaction.findById(req.params.id);
         if (!transaction) {
             return res.redirect("/admin/transfers?error=Transaction not found");
         }
 
-        const recipient = await User.findById(transaction.toUserId);
-        if (!recipient) {
-            return res.redirect("/admin/transfers?error=Recipient not found");
+        if (transaction.status !== "pending") {
+            return res.redirect("/admin/transfers?error=Transfer has already been processed");
         }
 
-        // Credit recipient
-        recipient.balance += transaction.amount;
-        await recipient.save();
-
-        // Update transaction status
-        transaction.status = "completed";
-        transaction.processedBy = req.session.userId;
-        transaction.processedDate = new Date();
-        await transaction.save();
-
-        // Create transaction record for recipient
-        const recipientTransaction = new Transaction({
-            userId: recipient._id,
-            type: "transfer",
-            amount: transaction.amount,
-            description: `Transfer from ${transaction.fromUserId?.accountNumber || 'unknown'}`,
-            fromAccount: transaction.fromAccount,
-            fromUserId: transaction.fromUserId,
-            status: "completed",
-            date: new Date()
-        });
-        await recipientTransaction.save();
+        await settleTransfer(transaction, { processedBy: req.session.userId, note: notes });
 
         res.redirect("/admin/transfers?success=Transfer approved and recipient credited");
     } catch (error) {
@@ -1752,37 +7362,21 @@ app.post("/admin/transfers/:id/approve", requireAuth, requireAdmin, async (req,
 // FIXED: Reject transfer with better error handling
 app.post("/admin/transfers/:id/reject", requireAuth, requireAdmin, async (req, res) => {
     try {
+        const notes = (req.body.notes || '').trim();
+        if (!notes) {
+            return res.redirect("/admin/transfers?error=Please add a review note");
+        }
+
         const transaction = await Transaction.findById(req.params.id);
         if (!transaction) {
             return res.redirect("/admin/transfers?error=Transaction not found");
         }
 
-        const sender = await User.findById(transaction.fromUserId);
-        if (!sender) {
-            return res.redirect("/admin/transfers?error=Sender not found");
+        if (transaction.status !== "pending") {
+            return res.redirect("/admin/transfers?error=Transfer has already been processed");
         }
 
-        // Refund sender
-        sender.balance += transaction.amount;
-        await sender.save();
-
-        // Update transaction status
-        transaction.status = "rejected";
-        transaction.processedBy = req.session.userId;
-        transaction.processedDate = new Date();
-        await transaction.save();
-
-        // Create refund transaction record
-        const refundTransaction = new Transaction({
-            userId: sender._id,
-            type: "deposit",
-            amount: transaction.amount,
-            description: "Refund for rejected transfer",
-            status: "completed",
-            processedBy: req.session.userId,
-            processedDate: new Date()
-        });
-        await refundTransaction.save();
+        await refundTransfer(transaction, { processedBy: req.session.userId, note: notes });
 
         res.redirect("/admin/transfers?success=Transfer rejected and sender refunded");
     } catch (error) {
@@ -1791,6 +7385,88 @@ app.post("/admin/transfers/:id/reject", requireAuth, requireAdmin, async (req, r
     }
 });
 
+// ========== ADMIN TRANSFER RULES ==========
+app.get("/admin/transfer-rules", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const rules = await getTransferRules();
+        const since = new Date(Date.now() - 30 * DAY_MS);
+
+        // How the rules have been deciding over the last 30 days
+        const [stats] = await Transaction.aggregate([
+            { $match: { type: "transfer", "approval.decision": { $exists: true }, "approval.decidedAt": { $gte: since } } },
+            {
+                $facet: {
+                    decisions: [{ $group: { _id: "$approval.decision", count: { $sum: 1 } } }],
+                    reasons: [
+                        { $unwind: "$approval.reasons" },
+                        { $group: { _id: "$approval.reasons", count: { $sum: 1 } } },
+                        { $sort: { count: -1 } }
+                    ]
+                }
+            }
+        ]);
+        const decisions = Object.fromEntries(stats.decisions.map(d => [d._id, d.count]));
+
+        res.render("admin/transfer-rules", {
+            title: "Transfer Rules | Admin",
+            rules,
+            decisions,
+            reasons: stats.reasons,
+            holdReasons: TRANSFER_HOLD_REASONS,
+            formatCurrency,
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error("Admin transfer rules error:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+app.post("/admin/transfer-rules", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const update = {
+            autoApproveEnabled: req.body.autoApproveEnabled === 'on',
+            requireKyc: req.body.requireKyc === 'on',
+            updatedBy: req.session.userId,
+            updatedAt: new Date()
+        };
+        for (const [field, { label, min }] of Object.entries(TRANSFER_RULE_FIELDS)) {
+            const value = Number(req.body[field]);
+            if (req.body[field] === '' || !Number.isFinite(value) || value < min) {
+                return res.redirect("/admin/transfer-rules?error=" + encodeURIComponent(`${label} must be at least ${min}`));
+            }
+            update[field] = value;
+        }
+
+        await TransferRuleSet.updateOne({ key: 'default' }, update, { upsert: true, runValidators: true });
+        await recordAudit('transfer_rules_updated', {
+            actorId: req.session.userId,
+            ip: req.ip,
+            details: Object.entries(update)
+                .filter(([field]) => field !== 'updatedBy' && field !== 'updatedAt')
+                .map(([field, value]) => `${field}=${value}`)
+                .join(', ')
+        });
+
+        res.redirect("/admin/transfer-rules?success=Transfer rules updated");
+    } catch (error) {
+        console.error("Transfer rules update error:", error);
+        res.redirect("/admin/transfer-rules?error=Failed to update transfer rules");
+    }
+});
+
+// ========== ADMIN LEDGER RECONCILIATION ==========
+app.get("/admin/ledger/reconcile", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const report = await reconcileLedger();
+        res.json(report);
+    } catch (error) {
+        console.error("Ledger reconciliation error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // ========== ADMIN CARD MANAGEMENT ==========
 app.get("/admin/cards", requireAuth, requireAdmin, async (req, res) => {
     try {
@@ -1868,7 +7544,12 @@ app.post("/admin/cards/:id/reject", requireAuth, requireAdmin, async (req, res)
 });
 
 // Logout
-app.get("/logout", (req, res) => {
+app.get("/logout", async (req, res) => {
+    try {
+        await UserSession.updateOne({ sessionId: req.sessionID, revokedAt: null }, { revokedAt: new Date() });
+    } catch (error) {
+        console.error("Logout error:", error);
+    }
     req.session.destroy();
     res.redirect("/login");
 });
@@ -1883,6 +7564,23 @@ app.use((err, req, res, next) => {
     res.status(500).render("500", { title: "Server Error | Saxon Bank" });
 });
 
+// ========== BACKGROUND JOBS ==========
+const LEDGER_RECONCILE_INTERVAL = Number(process.env.LEDGER_RECONCILE_INTERVAL_MS) || 60 * 60 * 1000;
+setInterval(runLedgerReconciliation, LEDGER_RECONCILE_INTERVAL);
+
+const SCHEDULED_TRANSFER_INTERVAL = Number(process.env.SCHEDULED_TRANSFER_INTERVAL_MS) || 60 * 1000;
+setInterval(runScheduledTransfers, SCHEDULED_TRANSFER_INTERVAL);
+
+const AUTOPAY_INTERVAL = Number(process.env.AUTOPAY_INTERVAL_MS) || 60 * 1000;
+setInterval(runAutopay, AUTOPAY_INTERVAL);
+
+const LOAN_COLLECTION_INTERVAL = Number(process.env.LOAN_COLLECTION_INTERVAL_MS) || 60 * 60 * 1000;
+setInterval(runLoanCollections, LOAN_COLLECTION_INTERVAL);
+
+const STATEMENT_CYCLE_INTERVAL = Number(process.env.STATEMENT_CYCLE_INTERVAL_MS) || 60 * 60 * 1000;
+mongoose.connection.once("open", () => runStatementCycle());
+setInterval(runStatementCycle, STATEMENT_CYCLE_INTERVAL);
+
 // ========== SERVER START ==========
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -0,0 +1,40 @@
+// utils/accountNumber.js
+// Account numbers are 10 digits: an 8-digit body followed by two ISO 7064
+// MOD 97-10 check digits (the scheme IBANs use). A valid number is ≡ 1 mod 97,
+// which catches every single-digit typo and almost every transposition.
+const crypto = require('crypto');
+
+const BODY_LENGTH = 8;
+const MAX_GENERATE_ATTEMPTS = 10;
+
+function checkDigits(body) {
+    const check = 98 - ((Number(body) * 100) % 97);
+    return String(check).padStart(2, '0');
+}
+
+// Strip the spaces and dashes people type when copying a number
+function normalizeAccountNumber(input) {
+    return String(input || '').replace(/[\s-]/g, '');
+}
+
+function isValidAccountNumber(input) {
+    const accountNumber = normalizeAccountNumber(input);
+    if (!/^[1-9]\d{9}$/.test(accountNumber)) return false;
+    return Number(accountNumber) % 97 === 1;
+}
+
+// isTaken(accountNumber) → Promise<boolean>; retries with a fresh body on collision
+async function generateAccountNumber(isTaken) {
+    for (let attempt = 0; attempt < MAX_GENERATE_ATTEMPTS; attempt++) {
+        const body = String(crypto.randomInt(10 ** (BODY_LENGTH - 1), 10 ** BODY_LENGTH));
+        const accountNumber = body + checkDigits(body);
+        if (!(await isTaken(accountNumber))) return accountNumber;
+    }
+    throw new Error('Could not generate a unique account number');
+}
+
+module.exports = {
+    normalizeAccountNumber,
+    isValidAccountNumber,
+    generateAccountNumber
+};